@@ -66,7 +66,7 @@ function run() {
         assert(applyResult.success, "Patch should apply");
         console.log("  ✓ Patch applies correctly on mock CSS");
 
-        assert(checkPatch(cssFile), "Check should detect patch");
+        assert.strictEqual(checkPatch(cssFile), "current", "Check should detect patch");
         console.log("  ✓ Patch detection works");
 
         const patched = fs.readFileSync(cssFile, "utf8");
@@ -0,0 +1,141 @@
+/**
+ * Heuristic discovery of the CSS-module classes in Claude Code's stylesheet.
+ *
+ * CLASS_PATTERNS in patch-rtl.js names the components the core rules are
+ * written for. Newer UI pieces (tool results, permission prompts, todo lists,
+ * plan-mode panels, thinking blocks, …) appear under names nobody listed, so
+ * every `name_hash` class is sorted into one of three kinds:
+ *
+ *   text   — renders prose; gets the auto-direction rule
+ *   code   — renders code or terminal output; kept LTR
+ *   layout — containers, icons, buttons; left alone
+ *
+ * The class name decides first (its words, split at camelCase humps), then
+ * the properties declared for it. It is a heuristic: `--doctor` shows the
+ * result, and `extraSelectors` covers anything it gets wrong.
+ */
+
+const CLASS_KINDS = ["text", "code", "layout"];
+
+// A CSS-module class: camelCase name, "_", and a hash with at least one
+// digit or capital, which keeps ordinary snake_case classes out
+const MODULE_CLASS = /\.([A-Za-z][A-Za-z0-9]*)_((?=[a-z]*[0-9A-Z])[A-Za-z0-9]{5,})(?![\w-])/g;
+
+// The word sets hold singular words: splitWords drops plural endings first
+
+// Any of these words makes a class code-bearing
+const CODE_WORDS = new Set([
+  "code", "pre", "diff", "terminal", "editor", "syntax", "snippet", "mono",
+  "monospace", "bash", "shell", "stdout", "stderr", "console",
+]);
+
+// A class whose name ends in one of these is a layout piece, even if an
+// earlier word is a text word ("userMessageContainer")
+const LAYOUT_WORDS = new Set([
+  "container", "wrapper", "wrap", "layout", "row", "column", "col", "grid",
+  "spacer", "divider", "separator", "icon", "button", "btn", "toolbar",
+  "scroll", "scroller", "scrollable", "overlay", "backdrop", "dot", "badge",
+  "avatar", "spinner", "loader", "indicator", "action", "gutter", "handle",
+  "resizer", "svg", "image", "img", "logo", "chevron", "arrow", "caret",
+  "toggle", "checkbox", "root",
+]);
+
+// Any of these words makes a class text-bearing
+const TEXT_WORDS = new Set([
+  "message", "text", "content", "body", "markdown", "result", "prompt",
+  "permission", "todo", "plan", "thinking", "thought", "title", "subtitle",
+  "label", "description", "desc", "summary", "paragraph", "answer",
+  "question", "reason", "quote", "caption", "hint", "note", "error",
+  "warning", "notice", "tooltip", "heading", "detail", "explanation", "tool",
+]);
+
+// Declared properties that only make sense on elements that hold text
+const TEXT_PROPERTIES = new Set([
+  "font-size", "font-weight", "font-style", "line-height", "text-align",
+  "text-indent", "white-space", "word-break", "overflow-wrap", "word-wrap",
+  "letter-spacing", "hyphens",
+]);
+
+/**
+ * Splits a class name into lower-case words: "permissionPromptButtons" ->
+ * ["permission", "prompt", "button"] (a plural "s" is dropped).
+ */
+function splitWords(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .toLowerCase()
+    .split(" ")
+    .map((word) => (word.length > 3 && /[^su]s$/.test(word) ? word.slice(0, -1) : word));
+}
+
+/**
+ * Lists every CSS-module class in `cssContent` with the properties declared
+ * in rules where it is (part of) the subject of the selector.
+ * Returns a Map of name -> { hash, declarations: Map<property, value> }.
+ */
+function collectModuleClasses(cssContent) {
+  const classes = new Map();
+  const withoutComments = cssContent.replace(/\/\*[\s\S]*?\*\//g, "");
+
+  const note = (name, hash) => {
+    if (!classes.has(name)) classes.set(name, { hash, declarations: new Map() });
+    return classes.get(name);
+  };
+
+  // Innermost blocks only, so rules inside @media are read as rules too
+  for (const [, selectorText, body] of withoutComments.matchAll(/([^{}]+)\{([^{}]*)\}/g)) {
+    const declarations = [...body.matchAll(/([\w-]+)\s*:\s*([^;]+)/g)].map(([, prop, value]) => [
+      prop.toLowerCase(),
+      value.trim(),
+    ]);
+    for (const selector of selectorText.split(",")) {
+      const compounds = selector.trim().split(/\s*[\s>+~]\s*/);
+      const subject = compounds[compounds.length - 1] || "";
+      for (const [, name, hash] of selector.matchAll(MODULE_CLASS)) {
+        const entry = note(name, hash);
+        if (!subject.includes(`.${name}_${hash}`)) continue;
+        for (const [prop, value] of declarations) entry.declarations.set(prop, value);
+      }
+    }
+  }
+  return classes;
+}
+
+/**
+ * Sorts one class. Returns { kind, reason }.
+ */
+function classifyClass(name, declarations) {
+  const words = splitWords(name);
+  const last = words[words.length - 1];
+
+  const codeWord = words.find((word) => CODE_WORDS.has(word));
+  if (codeWord) return { kind: "code", reason: `name contains "${codeWord}"` };
+  if (LAYOUT_WORDS.has(last)) return { kind: "layout", reason: `name ends in "${last}"` };
+  const textWord = words.find((word) => TEXT_WORDS.has(word));
+  if (textWord) return { kind: "text", reason: `name contains "${textWord}"` };
+
+  const fontFamily = declarations.get("font-family") || "";
+  if (/mono|editor-font|courier|consolas|menlo/i.test(fontFamily)) {
+    return { kind: "code", reason: "monospace font-family" };
+  }
+  if (/^pre(?![\w-])/.test(declarations.get("white-space") || "")) {
+    return { kind: "code", reason: "white-space: pre" };
+  }
+  const textProperties = [...declarations.keys()].filter((prop) => TEXT_PROPERTIES.has(prop));
+  if (textProperties.length > 0) {
+    return { kind: "text", reason: `declares ${textProperties.join(", ")}` };
+  }
+  return { kind: "layout", reason: "no text properties" };
+}
+
+/**
+ * Classifies every CSS-module class in `cssContent`. Returns an array of
+ * { name, hash, kind, reason }, sorted by name.
+ */
+function classifyClasses(cssContent) {
+  return [...collectModuleClasses(cssContent)]
+    .map(([name, { hash, declarations }]) => ({ name, hash, ...classifyClass(name, declarations) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+module.exports = { CLASS_KINDS, classifyClasses, classifyClass, splitWords };
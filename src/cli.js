@@ -0,0 +1,514 @@
+/**
+ * Command-line interface shared by the npm bin (fix-rtl.js) and
+ * `node src/patch-rtl.js`.
+ *
+ * Usage:
+ *   npx claude-code-rtl-fix            # Apply RTL fix
+ *   npx claude-code-rtl-fix --revert   # Revert the fix
+ *   npx claude-code-rtl-fix --check    # Check if patch is applied
+ *   npx claude-code-rtl-fix --check --json  # Same, as JSON (see EXIT_CODES)
+ *   npx claude-code-rtl-fix --config <file>  # Use a specific config file
+ *                                            # (default: ~/.claude-code-rtl.json)
+ *   npx claude-code-rtl-fix --direction rtl  # Force rtl|ltr instead of auto-detection
+ *   npx claude-code-rtl-fix --js       # Also add dir attributes via the webview JS bundle
+ *   npx claude-code-rtl-fix --mirror   # Mirror the whole chat layout, not just text
+ *   npx claude-code-rtl-fix --restore       # List restore points
+ *   npx claude-code-rtl-fix --restore <id>  # Restore the original saved in a restore point
+ *                                           # (of one installation: add --path/--version)
+ *   npx claude-code-rtl-fix --dry-run  # Show a diff of what apply (or --revert) would change
+ *   npx claude-code-rtl-fix --watch    # Keep patching: re-apply whenever Claude Code updates
+ *   npx claude-code-rtl-fix --all-versions  # Also patch versions the editor no longer loads
+ *   npx claude-code-rtl-fix --prune    # Report stale versions and orphaned backups, offer cleanup
+ *   npx claude-code-rtl-fix --editor cursor     # Only installations of one editor (code,
+ *                                              # insiders, cursor, vscodium, windsurf,
+ *                                              # positron, code-server, server, wsl)
+ *   npx claude-code-rtl-fix --version ">=2.0"   # Only Claude Code versions in a semver range
+ *   npx claude-code-rtl-fix --path <dir>        # Only installations in (or at) a directory
+ *   npx claude-code-rtl-fix --home <dir>        # Search another home directory (e.g. a mounted
+ *                                              # devcontainer); works with every command
+ *   npx claude-code-rtl-fix --yes      # Act on every match without the interactive picker
+ *   npx claude-code-rtl-fix --doctor   # Diagnose discovery, class names, permissions, backups
+ *   npx claude-code-rtl-fix --bundle <file>  # Write the diagnostics + environment as JSON
+ *   npx claude-code-rtl-fix --report-compat  # Print the class inventory for the compatibility
+ *                                            # table (src/compat.js); --json for JSON
+ */
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { loadConfig, resolveConfig } = require("./config");
+const { runDoctor, formatDoctorReport } = require("./doctor");
+const { startWatch } = require("./watch");
+const { findPruneTargets, pruneArtifacts } = require("./prune");
+const { filterInstallations, pickInstallations } = require("./select");
+const { checkInstallationCompat, getClassInventory, formatClassInventory } = require("./compat");
+const {
+  findExtensionDirs,
+  applyPatch,
+  applyScriptPatch,
+  getScriptPath,
+  revertPatch,
+  restorePatch,
+  listRestorePoints,
+  checkPatch,
+  hasPatch,
+  extractClassMap,
+  selectActiveInstallations,
+  getInstallationVersion,
+  inspectInstallation,
+  hasDirectedBlocks,
+  PATCH_VERSION,
+} = require("./patch-rtl");
+
+// Exit codes of `--check`, so provisioning scripts can tell the cases apart.
+// Apply and revert keep exiting 0 on success and 1 on failure.
+const EXIT_CODES = {
+  ALL_PATCHED: 0,
+  DISCOVERY_FAILED: 1,
+  PARTIALLY_PATCHED: 2,
+  NONE_PATCHED: 3,
+  OUTDATED: 4,
+};
+
+/**
+ * Returns the value of a `--name value` or `--name=value` CLI option,
+ * or undefined if the option is absent.
+ */
+function getArgValue(args, name) {
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === name) return args[i + 1];
+    if (args[i].startsWith(`${name}=`)) return args[i].slice(name.length + 1);
+  }
+  return undefined;
+}
+
+/**
+ * Summarises inspected installations into one of the EXIT_CODES.
+ * An installation that could not be inspected counts as a discovery failure;
+ * after that, an outdated patch anywhere takes precedence over the
+ * patched/unpatched mix.
+ */
+function getCheckExitCode(installations) {
+  if (installations.length === 0 || installations.some((i) => i.error)) {
+    return EXIT_CODES.DISCOVERY_FAILED;
+  }
+  if (installations.some((i) => i.state === "outdated")) return EXIT_CODES.OUTDATED;
+  const current = installations.filter((i) => i.state === "current").length;
+  if (current === installations.length) return EXIT_CODES.ALL_PATCHED;
+  return current > 0 ? EXIT_CODES.PARTIALLY_PATCHED : EXIT_CODES.NONE_PATCHED;
+}
+
+/**
+ * `--check`: prints the state of every installation, as text or JSON.
+ * Returns the exit code.
+ */
+function runCheck(extDirs, { json, log }) {
+  const installations = extDirs.map((extDir) => ({
+    ...inspectInstallation(extDir),
+    compat: checkInstallationCompat(extDir),
+  }));
+  const exitCode = getCheckExitCode(installations);
+
+  if (json) {
+    const status = Object.keys(EXIT_CODES).find((key) => EXIT_CODES[key] === exitCode);
+    const report = { patchVersion: PATCH_VERSION, status, exitCode, installations };
+    if (installations.length === 0) report.error = "Claude Code extension not found";
+    console.log(JSON.stringify(report, null, 2));
+    return exitCode;
+  }
+
+  for (const info of installations) {
+    const label = {
+      current: "PATCHED",
+      outdated: `PATCHED (outdated, v${info.patchVersion})`,
+      absent: "NOT PATCHED",
+    }[info.state];
+    const scriptNote = info.script ? " (+ webview script)" : "";
+    log(`[${info.version}] ${label}${scriptNote} — ${info.path}`);
+    if (info.error) log(`  ${info.error}`);
+    for (const warning of info.compat ? info.compat.warnings : []) log(`  Warning: ${warning}`);
+  }
+  return exitCode;
+}
+
+/**
+ * `--doctor` / `--bundle <file>`: prints the diagnostics and/or writes them,
+ * with environment info, to a JSON support bundle. Returns the exit code.
+ */
+function runDoctorCommand({ bundleFile, print, log, home, configPath }) {
+  if (bundleFile !== undefined && (bundleFile === "" || bundleFile.startsWith("--"))) {
+    console.error("Error: --bundle needs a file name");
+    return 1;
+  }
+
+  const report = runDoctor({ environment: bundleFile !== undefined, home, configPath });
+  if (print) formatDoctorReport(report).forEach((line) => log(line));
+
+  if (bundleFile !== undefined) {
+    try {
+      fs.writeFileSync(bundleFile, JSON.stringify(report, null, 2) + "\n");
+    } catch (err) {
+      console.error(`Error: could not write support bundle: ${err.message}`);
+      return 1;
+    }
+    log(`Support bundle written to ${path.resolve(bundleFile)} — attach it to your bug report.`);
+  }
+  return 0;
+}
+
+/**
+ * `--watch`: patches now, then keeps watching until interrupted.
+ * Every action is logged with a timestamp.
+ */
+function runWatch({ config, log, allVersions, home }) {
+  const logAction = (message) => log(`${new Date().toISOString()} ${message}`);
+  let handle;
+  try {
+    handle = startWatch({ config, log: logAction, allVersions, home });
+  } catch (err) {
+    console.error(`Error: ${err.message}. Make sure Claude Code is installed.`);
+    console.error("You can set CLAUDE_CODE_EXT_DIR to specify the path manually.");
+    process.exit(EXIT_CODES.DISCOVERY_FAILED);
+  }
+  logAction("Watching for Claude Code updates (Ctrl+C to stop)");
+
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, () => {
+      handle.close();
+      logAction("Stopped watching");
+      process.exit(0);
+    });
+  }
+}
+
+/**
+ * `--report-compat`: prints the class inventory of each installation, with a
+ * ready-made entry for the compatibility table. Returns the exit code.
+ */
+function runReportCompat(extDirs, { json, log }) {
+  const inventories = [];
+  let failed = false;
+  for (const extDir of extDirs) {
+    try {
+      inventories.push(getClassInventory(extDir));
+    } catch (err) {
+      console.error(`[${getInstallationVersion(extDir)}] Could not read stylesheet: ${err.message} — ${extDir}`);
+      failed = true;
+    }
+  }
+
+  if (json) {
+    console.log(JSON.stringify(inventories, null, 2));
+  } else {
+    inventories.forEach((inventory) => formatClassInventory(inventory).forEach((line) => log(line)));
+  }
+  return failed ? 1 : 0;
+}
+
+/**
+ * `--prune`: reports stale versions and orphaned backups, then removes our
+ * artifacts after confirmation (or straight away with `--yes`). Without a
+ * terminal to ask on, it only reports.
+ */
+function runPrune(extDirs, { activeDirs, yes, log }) {
+  const targets = findPruneTargets(extDirs, activeDirs);
+  for (const target of targets) {
+    const label = target.active ? "active" : "stale";
+    log(`[${target.version}] ${label} — ${target.path}`);
+    for (const artifact of target.artifacts) {
+      log(`  ${artifact.kind}: ${artifact.path} (${artifact.size} bytes)`);
+    }
+  }
+
+  const count = targets.reduce((total, target) => total + target.artifacts.length, 0);
+  if (count === 0) {
+    log("Nothing to prune.");
+    return;
+  }
+
+  const prune = () => {
+    const { removed, errors } = pruneArtifacts(targets);
+    log(`Removed ${removed.length} artifact(s).`);
+    errors.forEach((error) => console.error(`  Could not remove ${error}`));
+    process.exit(errors.length > 0 ? 1 : 0);
+  };
+
+  if (yes) {
+    prune();
+  } else if (!process.stdin.isTTY) {
+    log(`${count} artifact(s) can be removed; re-run with --prune --yes to remove them.`);
+  } else {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    rl.question(`Remove ${count} artifact(s)? [y/N] `, (answer) => {
+      rl.close();
+      if (/^y(es)?$/i.test(answer.trim())) prune();
+      else log("Nothing removed.");
+    });
+  }
+}
+
+/**
+ * Applies, reverts, restores or dry-runs the selected installations, then
+ * exits with 0 if any of them succeeded.
+ */
+function runOnInstallations(extDirs, { config, log, isRevert, isRestore, restoreId, isDryRun }) {
+  let anySuccess = false;
+
+  for (const extDir of extDirs) {
+    const cssFile = path.join(extDir, "webview", "index.css");
+    const jsFile = getScriptPath(cssFile);
+    const version = getInstallationVersion(extDir);
+
+    if (isRestore && (restoreId === undefined || restoreId.startsWith("--"))) {
+      const points = listRestorePoints(cssFile);
+      log(`[${version}] ${points.length} restore point(s) — ${extDir}`);
+      for (const point of points.slice().reverse()) {
+        log(
+          `  #${point.id}  ${point.file}  ${point.updatedAt}  ` +
+            `Claude Code ${point.extensionVersion || "unknown"}  patch v${point.patchVersion}  ` +
+            `original ${point.originalSha256.slice(0, 12)}`
+        );
+      }
+      anySuccess = anySuccess || points.length > 0;
+      continue;
+    }
+
+    if (isRestore) {
+      const result = restorePatch(cssFile, restoreId);
+      if (result.success) {
+        log(`[${version}] Restored ${result.point.file} from restore point #${restoreId} — ${extDir}`);
+        anySuccess = true;
+      } else {
+        console.error(`[${version}] Restore refused: ${result.error} — ${extDir}`);
+      }
+      continue;
+    }
+
+    if (isDryRun && !isRestore) {
+      // Read-only: checkPatch would migrate legacy files, so test markers directly
+      const scriptPatched = fs.existsSync(jsFile) && hasPatch(fs.readFileSync(jsFile, "utf8"));
+      const results = [];
+      let classMap;
+      if (isRevert) {
+        if (fs.existsSync(cssFile)) classMap = extractClassMap(fs.readFileSync(cssFile, "utf8"));
+        results.push(revertPatch(cssFile, { dryRun: true }));
+        if (scriptPatched) results.push(revertPatch(jsFile, { dryRun: true }));
+      } else {
+        const result = applyPatch(cssFile, { config, dryRun: true });
+        classMap = result.classMap;
+        results.push(result);
+        if (result.success && config.patchScript) {
+          results.push(applyScriptPatch(jsFile, { config, classMap, dryRun: true }));
+        } else if (result.success && scriptPatched) {
+          results.push(revertPatch(jsFile, { dryRun: true }));
+        }
+      }
+
+      log(`[${version}] Dry run, nothing written — ${extDir}`);
+      if (classMap) log(`  classMap: ${JSON.stringify(classMap)}`);
+      for (const result of results) {
+        if (!result.success) {
+          console.error(`  ${result.error}`);
+          continue;
+        }
+        result.migrated.forEach((change) => log(`  ${change}`));
+        log(result.diff ? result.diff.trimEnd() : "  (no changes)");
+      }
+      anySuccess = anySuccess || results[0].success;
+      continue;
+    }
+
+    if (isRevert) {
+      if (checkPatch(jsFile) !== "absent") {
+        const scriptResult = revertPatch(jsFile);
+        if (scriptResult.success) {
+          log(`[${version}] Reverted webview script patch (${scriptResult.method})`);
+        }
+      }
+      const result = revertPatch(cssFile);
+      if (result.success) {
+        log(`[${version}] Reverted RTL patch (${result.method}) — ${extDir}`);
+        result.migrated.forEach((change) => log(`  ${change}`));
+        anySuccess = true;
+      } else {
+        log(`[${version}] ${result.error} — ${extDir}`);
+      }
+      continue;
+    }
+
+    // Apply patch
+    const result = applyPatch(cssFile, { config });
+    if (result.success) {
+      log(`[${version}] RTL patch applied successfully — ${extDir}`);
+      log(
+        `  Classes found: ${Object.keys(result.classMap).join(", ")}`
+      );
+      log(`  Backup saved: ${result.backupPath}`);
+      result.migrated.forEach((change) => log(`  ${change}`));
+      if (config.rules.markdown && !hasDirectedBlocks(config)) {
+        log(
+          "  Note: list indentation and blockquote borders stay on the left; " +
+            "the markdown layout needs --js (or --direction, --mirror)"
+        );
+      }
+      const compat = checkInstallationCompat(extDir);
+      for (const warning of compat ? compat.warnings : []) log(`  Warning: ${warning}`);
+      if (config.patchScript) {
+        const scriptResult = applyScriptPatch(jsFile, { config, classMap: result.classMap });
+        if (scriptResult.success) {
+          log(`  Webview script patched: ${jsFile}`);
+        } else {
+          console.error(`  Webview script not patched: ${scriptResult.error}`);
+        }
+      } else if (checkPatch(jsFile) !== "absent") {
+        // Script patching was switched off since the last run
+        revertPatch(jsFile);
+        log(`  Webview script patch removed: ${jsFile}`);
+      }
+      log('  Reload VS Code window to see changes (Ctrl+Shift+P → "Reload Window")');
+      anySuccess = true;
+    } else {
+      console.error(`[${version}] Failed: ${result.error} — ${extDir}`);
+    }
+  }
+
+  process.exit(anySuccess ? 0 : 1);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const isRevert = args.includes("--revert");
+  const isCheck = args.includes("--check");
+  const isRestore = args.some((a) => a === "--restore" || a.startsWith("--restore="));
+  const restoreId = getArgValue(args, "--restore");
+  const isDryRun = args.includes("--dry-run");
+  const isPrune = args.includes("--prune");
+  const isQuiet = args.includes("--quiet");
+  const isJson = args.includes("--json");
+  const allVersions = args.includes("--all-versions");
+  const home = getArgValue(args, "--home");
+  if (home !== undefined && (!home || !fs.existsSync(home) || !fs.statSync(home).isDirectory())) {
+    console.error(`Error: --home must be an existing directory: ${home || "(missing)"}`);
+    process.exit(1);
+  }
+
+  const log = isQuiet ? () => {} : console.log;
+
+  // Diagnostics run before the config is loaded: a broken config is one of
+  // the things they report
+  const bundleFile = getArgValue(args, "--bundle");
+  if (args.includes("--doctor") || bundleFile !== undefined) {
+    process.exit(
+      runDoctorCommand({
+        bundleFile,
+        print: args.includes("--doctor"),
+        log,
+        home,
+        configPath: getArgValue(args, "--config"),
+      })
+    );
+  }
+
+  let config;
+  try {
+    config = loadConfig(getArgValue(args, "--config"));
+    const direction = getArgValue(args, "--direction");
+    if (direction !== undefined) config = resolveConfig({ ...config, direction });
+    if (args.includes("--js")) config = resolveConfig({ ...config, patchScript: true });
+    if (args.includes("--mirror")) config = resolveConfig({ ...config, layout: "mirror" });
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  if (args.includes("--watch")) {
+    runWatch({ config, log, allVersions, home });
+    return;
+  }
+
+  const filters = {
+    editor: getArgValue(args, "--editor"),
+    version: getArgValue(args, "--version"),
+    path: getArgValue(args, "--path"),
+  };
+  let foundDirs;
+  let allDirs;
+  try {
+    foundDirs = findExtensionDirs({ home });
+    allDirs = filterInstallations(foundDirs, filters);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  // Only the version the editor loads is patched and checked by default;
+  // revert, restore and prune still reach every version. The active versions
+  // are picked before filtering, so a filter that only matches old versions
+  // does not make the newest of those look active.
+  const activeDirs = selectActiveInstallations(foundDirs);
+  const extDirs =
+    allVersions || isRevert || isRestore || isPrune
+      ? allDirs
+      : allDirs.filter((extDir) => activeDirs.includes(extDir));
+  if (isCheck && isJson) {
+    // Scripts parsing the JSON get a document even when discovery fails
+    process.exit(runCheck(extDirs, { json: true, log }));
+  }
+  if (extDirs.length === 0 && allDirs.length > 0) {
+    console.error(
+      "Error: Only versions the editor no longer loads match --editor/--version/--path. " +
+        "Add --all-versions to act on them."
+    );
+    process.exit(EXIT_CODES.DISCOVERY_FAILED);
+  }
+  if (extDirs.length === 0 && Object.values(filters).some((v) => v !== undefined)) {
+    console.error("Error: No Claude Code installation matches --editor/--version/--path.");
+    process.exit(EXIT_CODES.DISCOVERY_FAILED);
+  }
+  if (extDirs.length === 0) {
+    console.error(
+      "Error: Claude Code extension not found. Make sure it is installed."
+    );
+    console.error("You can set CLAUDE_CODE_EXT_DIR to specify the path manually.");
+    process.exit(EXIT_CODES.DISCOVERY_FAILED);
+  }
+
+  if (isCheck) {
+    process.exit(runCheck(extDirs, { json: isJson, log }));
+  }
+
+  if (args.includes("--report-compat")) {
+    process.exit(runReportCompat(extDirs, { json: isJson, log }));
+  }
+
+  if (isPrune) {
+    runPrune(extDirs, { activeDirs, yes: args.includes("--yes"), log });
+    return;
+  }
+
+  // Restore point ids are numbered per installation
+  const hasRestoreId = restoreId !== undefined && !restoreId.startsWith("--");
+  if (isRestore && hasRestoreId && extDirs.length > 1) {
+    console.error(
+      `Error: --restore ${restoreId} matches ${extDirs.length} installations, and restore point ids ` +
+        "belong to one of them. Pick it with --path or --version:"
+    );
+    extDirs.forEach((extDir) => console.error(`  [${getInstallationVersion(extDir)}] ${extDir}`));
+    process.exit(1);
+  }
+
+  const actionOptions = { config, log, isRevert, isRestore, restoreId, isDryRun };
+  if (process.stdin.isTTY && extDirs.length > 1 && !isQuiet && !args.includes("--yes")) {
+    pickInstallations(extDirs, (picked) => {
+      if (picked.length === 0) {
+        log("Nothing selected.");
+        process.exit(0);
+      }
+      runOnInstallations(picked, actionOptions);
+    });
+    return;
+  }
+  runOnInstallations(extDirs, actionOptions);
+}
+
+module.exports = { main, getArgValue, getCheckExitCode, EXIT_CODES };
@@ -0,0 +1,155 @@
+/**
+ * Known-versions compatibility table.
+ *
+ * The patch finds class names at run time, but its rules still assume that
+ * certain components exist. KNOWN_VERSIONS records the Claude Code releases
+ * the patch was checked against and the classes each of them has, so
+ * `--check`, apply and the companion extension can warn when the installed
+ * release is newer than anything checked, or when expected classes are gone.
+ * `--report-compat` prints the class inventory of an installation, including
+ * an entry ready to be added here.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+  getInstallationVersion,
+  extractClassMap,
+  removePatchContent,
+  CLASS_PATTERNS,
+} = require("./patch-rtl");
+const { classifyClasses } = require("./classify");
+const { parseVersion, compareVersions } = require("./semver");
+
+// Checked releases, oldest first. `classes` are the class names (without
+// hash) the release is expected to have. Add entries from --report-compat
+// run on a real installation only. No release has been recorded yet, and an
+// empty table produces no warnings.
+const KNOWN_VERSIONS = [];
+
+/**
+ * Returns the table entry describing `version`: the newest entry not newer
+ * than it, or the oldest entry for versions older than the whole table.
+ */
+function getCompatEntry(version, table = KNOWN_VERSIONS) {
+  const sorted = table.slice().sort((a, b) => compareVersions(a.version, b.version));
+  const older = sorted.filter((entry) => compareVersions(entry.version, version) <= 0);
+  return older.length > 0 ? older[older.length - 1] : sorted[0] || null;
+}
+
+/**
+ * Lists the class names found in a stylesheet: the known CLASS_PATTERNS plus
+ * every CSS-module class. Returns a Set.
+ */
+function getClassNames(cssContent) {
+  return new Set([
+    ...Object.keys(extractClassMap(cssContent)),
+    ...classifyClasses(cssContent).map((c) => c.name),
+  ]);
+}
+
+/**
+ * Compares an installed Claude Code `version` and its (unpatched) stylesheet
+ * with the table.
+ *
+ * Returns { version, tested, testedUpTo, missingClasses, warnings }:
+ *   tested         — the exact version is in the table
+ *   testedUpTo     — newest tested version, or null if none is recorded
+ *   missingClasses — expected classes the stylesheet does not have
+ *   warnings       — human-readable warnings (empty when all is well)
+ */
+function checkCompat(version, cssContent, table = KNOWN_VERSIONS) {
+  const testedUpTo = table.reduce(
+    (newest, entry) => (!newest || compareVersions(entry.version, newest) > 0 ? entry.version : newest),
+    null
+  );
+
+  const entry = getCompatEntry(version, table);
+  const names = getClassNames(cssContent);
+  const missingClasses = entry ? entry.classes.filter((name) => !names.has(name)) : [];
+
+  const warnings = [];
+  // An unreadable version (a folder name) is not reported as newer
+  if (testedUpTo && parseVersion(version).length > 0 && compareVersions(version, testedUpTo) > 0) {
+    warnings.push(
+      `Claude Code ${version} is newer than any tested release (up to ${testedUpTo}); the patch may not cover all of it.`
+    );
+  }
+  if (missingClasses.length > 0) {
+    warnings.push(
+      `Expected classes are missing from Claude Code ${version}: ${missingClasses.join(", ")}. ` +
+        "Parts of the UI may stay LTR — run with --report-compat and report it."
+    );
+  }
+
+  return {
+    version,
+    tested: table.some((e) => compareVersions(e.version, version) === 0),
+    testedUpTo,
+    missingClasses,
+    warnings,
+  };
+}
+
+/**
+ * Runs checkCompat for an installation directory. Returns null if its
+ * stylesheet cannot be read.
+ */
+function checkInstallationCompat(extDir, table = KNOWN_VERSIONS) {
+  const cssPath = path.join(extDir, "webview", "index.css");
+  let content;
+  try {
+    content = fs.readFileSync(cssPath, "utf8");
+  } catch {
+    return null;
+  }
+  return checkCompat(getInstallationVersion(extDir), removePatchContent(content), table);
+}
+
+/**
+ * Collects the class inventory of an installation for `--report-compat`.
+ * `entry` is a KNOWN_VERSIONS entry for it: the CLASS_PATTERNS found plus
+ * the text and code components the rules cover.
+ */
+function getClassInventory(extDir) {
+  const cssPath = path.join(extDir, "webview", "index.css");
+  const content = removePatchContent(fs.readFileSync(cssPath, "utf8"));
+  const version = getInstallationVersion(extDir);
+  const classMap = extractClassMap(content);
+  const components = classifyClasses(content);
+  const classes = [
+    ...new Set([
+      ...CLASS_PATTERNS.filter((name) => classMap[name]),
+      ...components.filter((c) => c.kind !== "layout").map((c) => c.name),
+    ]),
+  ].sort();
+  return { path: extDir, version, classMap, components, entry: { version, classes } };
+}
+
+/**
+ * Formats an inventory as human-readable lines.
+ */
+function formatClassInventory(inventory) {
+  const lines = [`[${inventory.version}] Class inventory — ${inventory.path}`];
+  lines.push("  Known classes:");
+  for (const name of CLASS_PATTERNS) {
+    const hash = inventory.classMap[name];
+    lines.push(`    ${hash ? "✓" : "✗"} ${name}${hash ? `_${hash}` : ""}`);
+  }
+  for (const kind of ["text", "code", "layout"]) {
+    const names = inventory.components.filter((c) => c.kind === kind).map((c) => c.name);
+    lines.push(`  ${kind} components (${names.length}): ${names.join(", ") || "none"}`);
+  }
+  lines.push("  Table entry for src/compat.js:");
+  lines.push(...JSON.stringify(inventory.entry, null, 2).split("\n").map((line) => `    ${line}`));
+  return lines;
+}
+
+module.exports = {
+  KNOWN_VERSIONS,
+  getCompatEntry,
+  checkCompat,
+  checkInstallationCompat,
+  getClassInventory,
+  formatClassInventory,
+};
@@ -0,0 +1,261 @@
+/**
+ * User configuration for the generated RTL CSS.
+ *
+ * Read from ~/.claude-code-rtl.json by default, or from the file given with
+ * `--config <file>`. Every field is optional — anything missing falls back to
+ * DEFAULT_CONFIG, so an empty file produces the stock rule set.
+ *
+ * Example:
+ *   {
+ *     "direction": "auto",
+ *     "layout": "text",
+ *     "patchScript": false,
+ *     "rules": { "timeline": false, "inputArea": true, "codeLtr": true },
+ *     "extraSelectors": [".myPanel_x1y2z3"],
+ *     "customCss": ".message_abc p { line-height: 1.7; }",
+ *     "spacing": { "timelinePadding": 34 },
+ *     "typography": { "lineHeight": 1.8, "fonts": { "arabic": ["Vazirmatn"] } }
+ *   }
+ */
+
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+
+const CONFIG_FILE_NAME = ".claude-code-rtl.json";
+
+// Marker text that must never appear in user-provided CSS, otherwise the
+// patch block could no longer be located and removed reliably.
+const RESERVED_MARKER = "CLAUDE-CODE-RTL-FIX";
+
+const DIRECTIONS = ["auto", "rtl", "ltr"];
+
+// "text" only changes text direction; "mirror" also lays the chat UI out
+// right-to-left
+const LAYOUTS = ["text", "mirror"];
+
+// Scripts that get their own font stack (see generateRtlCss)
+const FONT_SCRIPTS = ["hebrew", "arabic", "persian"];
+
+const DEFAULT_CONFIG = {
+  // "auto" detects direction per paragraph; "rtl"/"ltr" force it on every
+  // message container (code blocks stay LTR either way)
+  direction: "auto",
+  // "mirror" flips the whole chat layout (timeline rail, chevrons, headers,
+  // scrollbar side) to RTL; code, diffs and terminal output stay LTR
+  layout: "text",
+  // Also patch the webview JS bundle to add dir attributes (see
+  // src/webview-script.js)
+  patchScript: false,
+  // Rule groups that can be switched off individually
+  rules: {
+    timeline: true, // Timeline dot/line position via logical properties
+    inputArea: true, // Auto-direction in the prompt input
+    codeLtr: true, // Keep code blocks and inline code LTR
+    markdown: true, // Lists, blockquotes, tables, headings, hr and checkboxes
+    components: true, // Text/code components found by src/classify.js
+    typography: false, // Per-script fonts, line-height and letter-spacing
+  },
+  // Additional selectors that get the auto-direction rule
+  extraSelectors: [],
+  // Raw CSS snippets appended inside the patch block
+  customCss: [],
+  // Timeline, list and blockquote spacing (numbers are treated as px)
+  spacing: {
+    timelinePadding: "30px",
+    timelineBeforeOffset: "9px",
+    timelineAfterOffset: "12px",
+    listIndent: "1.5em",
+    blockquoteIndent: "1em",
+  },
+  // Used by the typography rule group. Font names are the installed (full)
+  // font names, tried in order; an empty list leaves that script alone.
+  typography: {
+    lineHeight: 1.8, // for RTL text; a number or a CSS length
+    fonts: {
+      hebrew: ["Noto Sans Hebrew", "Arial Hebrew", "Segoe UI"],
+      arabic: ["Noto Sans Arabic", "Noto Naskh Arabic", "Geeza Pro", "Segoe UI"],
+      // Arabic and Persian share Unicode blocks: the Persian stack is tried
+      // first for all Arabic-script text, the Arabic one is the fallback
+      persian: ["Vazirmatn", "Vazir", "Sahel"],
+    },
+  },
+};
+
+/**
+ * Returns the default config file location (~/.claude-code-rtl.json).
+ */
+function getDefaultConfigPath() {
+  return path.join(os.homedir(), CONFIG_FILE_NAME);
+}
+
+function toCssLength(value, key) {
+  if (typeof value === "number" && Number.isFinite(value)) return `${value}px`;
+  if (typeof value === "string" && /^[\w.%()+\-* ]+$/.test(value.trim())) {
+    return value.trim();
+  }
+  throw new Error(`spacing.${key} must be a number or a CSS length`);
+}
+
+function toLineHeight(value) {
+  if (typeof value === "number" && Number.isFinite(value) && value > 0) return value;
+  if (typeof value === "string" && /^[\w.%]+$/.test(value.trim())) return value.trim();
+  throw new Error("typography.lineHeight must be a positive number or a CSS length");
+}
+
+function assertNoMarker(text, field) {
+  if (text.includes(RESERVED_MARKER)) {
+    throw new Error(`${field} must not contain "${RESERVED_MARKER}"`);
+  }
+}
+
+/**
+ * Validates a (partial) config object and merges it over DEFAULT_CONFIG.
+ * Throws an Error describing the first invalid field.
+ */
+function resolveConfig(userConfig = {}) {
+  if (userConfig === null || typeof userConfig !== "object" || Array.isArray(userConfig)) {
+    throw new Error("Config must be a JSON object");
+  }
+
+  const direction = userConfig.direction ?? DEFAULT_CONFIG.direction;
+  if (!DIRECTIONS.includes(direction)) {
+    throw new Error(`direction must be one of: ${DIRECTIONS.join(", ")}`);
+  }
+
+  const layout = userConfig.layout ?? DEFAULT_CONFIG.layout;
+  if (!LAYOUTS.includes(layout)) {
+    throw new Error(`layout must be one of: ${LAYOUTS.join(", ")}`);
+  }
+
+  const patchScript = userConfig.patchScript ?? DEFAULT_CONFIG.patchScript;
+  if (typeof patchScript !== "boolean") {
+    throw new Error("patchScript must be true or false");
+  }
+
+  const rules = { ...DEFAULT_CONFIG.rules };
+  for (const [key, value] of Object.entries(userConfig.rules || {})) {
+    if (!(key in rules)) {
+      throw new Error(
+        `Unknown rule group "${key}" (expected one of: ${Object.keys(rules).join(", ")})`
+      );
+    }
+    if (typeof value !== "boolean") {
+      throw new Error(`rules.${key} must be true or false`);
+    }
+    rules[key] = value;
+  }
+
+  const extraSelectors = userConfig.extraSelectors || [];
+  if (!Array.isArray(extraSelectors) || extraSelectors.some((s) => typeof s !== "string")) {
+    throw new Error("extraSelectors must be an array of strings");
+  }
+  for (const selector of extraSelectors) {
+    if (/[{}]/.test(selector)) {
+      throw new Error(`extraSelectors entry must be a selector, not a rule: ${selector}`);
+    }
+    assertNoMarker(selector, "extraSelectors");
+  }
+
+  let customCss = userConfig.customCss || [];
+  if (typeof customCss === "string") customCss = [customCss];
+  if (!Array.isArray(customCss) || customCss.some((s) => typeof s !== "string")) {
+    throw new Error("customCss must be a string or an array of strings");
+  }
+  customCss.forEach((snippet) => assertNoMarker(snippet, "customCss"));
+
+  const spacing = { ...DEFAULT_CONFIG.spacing };
+  for (const [key, value] of Object.entries(userConfig.spacing || {})) {
+    if (!(key in spacing)) {
+      throw new Error(
+        `Unknown spacing value "${key}" (expected one of: ${Object.keys(spacing).join(", ")})`
+      );
+    }
+    spacing[key] = toCssLength(value, key);
+  }
+
+  const typographyConfig = userConfig.typography || {};
+  if (typeof typographyConfig !== "object" || Array.isArray(typographyConfig)) {
+    throw new Error("typography must be an object");
+  }
+  for (const key of Object.keys(typographyConfig)) {
+    if (!(key in DEFAULT_CONFIG.typography)) {
+      throw new Error(`Unknown typography option "${key}" (expected lineHeight or fonts)`);
+    }
+  }
+  const fonts = { ...DEFAULT_CONFIG.typography.fonts };
+  for (const [script, names] of Object.entries(typographyConfig.fonts || {})) {
+    if (!FONT_SCRIPTS.includes(script)) {
+      throw new Error(
+        `Unknown script "${script}" in typography.fonts (expected one of: ${FONT_SCRIPTS.join(", ")})`
+      );
+    }
+    const list = typeof names === "string" ? [names] : names;
+    if (!Array.isArray(list) || list.some((name) => typeof name !== "string")) {
+      throw new Error(`typography.fonts.${script} must be a font name or an array of font names`);
+    }
+    for (const name of list) {
+      // Names end up in quoted local() sources
+      if (!/^[\p{L}\p{N} _.-]+$/u.test(name.trim())) {
+        throw new Error(`typography.fonts.${script} has an invalid font name: ${name}`);
+      }
+      assertNoMarker(name, `typography.fonts.${script}`);
+    }
+    fonts[script] = list.map((name) => name.trim()).filter(Boolean);
+  }
+  const typography = {
+    lineHeight: toLineHeight(typographyConfig.lineHeight ?? DEFAULT_CONFIG.typography.lineHeight),
+    fonts,
+  };
+
+  return {
+    direction,
+    layout,
+    patchScript,
+    rules,
+    extraSelectors: extraSelectors.map((s) => s.trim()).filter(Boolean),
+    customCss: customCss.map((s) => s.trim()).filter(Boolean),
+    spacing,
+    typography,
+  };
+}
+
+/**
+ * Loads and resolves the user config.
+ *
+ * With an explicit `configPath` the file must exist. Without one, the default
+ * ~/.claude-code-rtl.json is used when present, otherwise the defaults.
+ * Throws an Error if the file cannot be read, parsed or validated.
+ */
+function loadConfig(configPath) {
+  const file = configPath ? path.resolve(configPath) : getDefaultConfigPath();
+
+  if (!fs.existsSync(file)) {
+    if (configPath) throw new Error(`Config file not found: ${file}`);
+    return resolveConfig({});
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Could not read config file ${file}: ${err.message}`);
+  }
+
+  try {
+    return resolveConfig(raw);
+  } catch (err) {
+    throw new Error(`Invalid config file ${file}: ${err.message}`);
+  }
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  DIRECTIONS,
+  LAYOUTS,
+  FONT_SCRIPTS,
+  CONFIG_FILE_NAME,
+  getDefaultConfigPath,
+  resolveConfig,
+  loadConfig,
+};
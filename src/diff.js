@@ -0,0 +1,150 @@
+/**
+ * Minimal line-based unified diff, used by --dry-run.
+ *
+ * Our patches only append or remove one block at the end of a file, so the
+ * common prefix and suffix are trimmed first and the (small) changed middle
+ * is diffed with a plain LCS table. If the middle is unexpectedly large it is
+ * shown as a single replacement instead of spending quadratic time on it.
+ *
+ * The output is meant for people reviewing a change, not for patch(1):
+ * "No newline at end of file" markers are not emitted.
+ */
+
+// Above this many LCS cells the middle is emitted as delete + insert
+const MAX_LCS_CELLS = 4_000_000;
+
+function splitLines(text) {
+  if (text === "") return [];
+  const lines = text.split("\n");
+  // A trailing newline produces an empty last element that is not a line
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+/**
+ * Computes the edit script between two line arrays.
+ * Returns [{ type: " " | "-" | "+", line }].
+ */
+function diffLines(a, b) {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const midA = a.slice(prefix, a.length - suffix);
+  const midB = b.slice(prefix, b.length - suffix);
+  const ops = a.slice(0, prefix).map((line) => ({ type: " ", line }));
+
+  if (midA.length * midB.length > MAX_LCS_CELLS) {
+    ops.push(...midA.map((line) => ({ type: "-", line })));
+    ops.push(...midB.map((line) => ({ type: "+", line })));
+  } else {
+    // lcs[i][j] = LCS length of midA[i..] and midB[j..]
+    const lcs = Array.from({ length: midA.length + 1 }, () =>
+      new Uint32Array(midB.length + 1)
+    );
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i][j] =
+          midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < midA.length || j < midB.length) {
+      if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+        ops.push({ type: " ", line: midA[i++] });
+        j++;
+      } else if (i < midA.length && (j === midB.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+        // Prefer deletions first, like diff(1)
+        ops.push({ type: "-", line: midA[i++] });
+      } else {
+        ops.push({ type: "+", line: midB[j++] });
+      }
+    }
+  }
+
+  ops.push(...a.slice(a.length - suffix).map((line) => ({ type: " ", line })));
+  return ops;
+}
+
+/**
+ * Creates a unified diff of two texts. Returns "" if they are identical.
+ *
+ * Options:
+ *   oldLabel, newLabel — file names for the ---/+++ header
+ *   context            — unchanged lines around each change (default 3)
+ *   maxLineLength      — truncate longer context lines for display
+ *                        (minified CSS is often a single huge line)
+ */
+function createUnifiedDiff(oldText, newText, options = {}) {
+  const { oldLabel = "a", newLabel = "b", context = 3, maxLineLength = Infinity } = options;
+  if (oldText === newText) return "";
+
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+  const ops = diffLines(oldLines, newLines);
+
+  const out = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  const changed = ops.map((op) => op.type !== " ");
+
+  let index = 0;
+  while (index < ops.length) {
+    if (!changed[index]) {
+      index++;
+      continue;
+    }
+
+    // Extend the hunk while changes are within 2 * context of each other
+    const start = Math.max(0, index - context);
+    let end = index;
+    while (end < ops.length) {
+      let next = end + 1;
+      while (next < ops.length && !changed[next]) next++;
+      if (next < ops.length && next - end <= context * 2) {
+        end = next;
+      } else {
+        break;
+      }
+    }
+    const stop = Math.min(ops.length, end + context + 1);
+
+    // Line numbers are 1-based; an empty range starts at the line before it
+    let oldStart = 1;
+    let newStart = 1;
+    for (let k = 0; k < start; k++) {
+      if (ops[k].type !== "+") oldStart++;
+      if (ops[k].type !== "-") newStart++;
+    }
+    const hunk = ops.slice(start, stop);
+    const oldCount = hunk.filter((op) => op.type !== "+").length;
+    const newCount = hunk.filter((op) => op.type !== "-").length;
+    out.push(
+      `@@ -${oldCount ? oldStart : oldStart - 1},${oldCount} ` +
+        `+${newCount ? newStart : newStart - 1},${newCount} @@`
+    );
+
+    for (const op of hunk) {
+      const line =
+        op.type === " " && op.line.length > maxLineLength
+          ? `${op.line.slice(0, maxLineLength)}… (${op.line.length - maxLineLength} more chars)`
+          : op.line;
+      out.push(op.type + line);
+    }
+
+    index = stop;
+  }
+
+  // Texts that differ only in a trailing newline produce no hunks
+  if (out.length === 2) return "";
+
+  return out.join("\n") + "\n";
+}
+
+module.exports = { createUnifiedDiff, diffLines };
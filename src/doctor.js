@@ -0,0 +1,279 @@
+/**
+ * `--doctor` diagnostics and `--bundle` support bundles.
+ *
+ * Answers "why does the patch do nothing?" without changing anything: which
+ * extension roots were probed and why they were skipped, which class names
+ * were resolved in each installation's CSS, whether the files can be written,
+ * and what state the patch markers, backups and manifest are in.
+ *
+ * Unlike checkPatch, nothing here migrates legacy files — the doctor only
+ * reads, so the report shows the installation exactly as it was found.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const {
+  probeExtensionDirs,
+  detectEditor,
+  getInstallationVersion,
+  extractClassMap,
+  classSelector,
+  getScriptPath,
+  describePatch,
+  removePatchContent,
+  CLASS_PATTERNS,
+  PATCH_START,
+  PATCH_VERSION,
+  BACKUP_SUFFIX,
+  LEGACY_MARKER,
+  LEGACY_BACKUP_SUFFIXES,
+} = require("./patch-rtl");
+const { readManifest, getManifestPath, verifyKnownContent } = require("./manifest");
+const { getDefaultConfigPath, loadConfig } = require("./config");
+const { classifyClasses, CLASS_KINDS } = require("./classify");
+
+/**
+ * Describes a file: existence, size, mode and whether this process can read
+ * and write it.
+ */
+function describeFile(filePath) {
+  const info = { path: filePath, exists: false };
+  let stat;
+  try {
+    stat = fs.statSync(filePath);
+  } catch {
+    return info;
+  }
+  const canAccess = (mode) => {
+    try {
+      fs.accessSync(filePath, mode);
+      return true;
+    } catch {
+      return false;
+    }
+  };
+  return Object.assign(info, {
+    exists: true,
+    size: stat.size,
+    mode: (stat.mode & 0o777).toString(8).padStart(3, "0"),
+    readable: canAccess(fs.constants.R_OK),
+    writable: canAccess(fs.constants.W_OK),
+  });
+}
+
+/**
+ * Reports the patch markers of one file: "absent", "current" or "outdated",
+ * the patch version, and whether the legacy single-marker format is used.
+ */
+function describeMarkers(filePath, content) {
+  const { state, version } = describePatch(filePath, content);
+  return {
+    state,
+    version,
+    legacyFormat: content.includes(LEGACY_MARKER) && !content.includes(PATCH_START),
+  };
+}
+
+/**
+ * Diagnoses one installation. Never throws — problems end up in `problems`.
+ */
+function diagnoseInstallation(extDir) {
+  const cssPath = path.join(extDir, "webview", "index.css");
+  const jsPath = getScriptPath(cssPath);
+  const report = {
+    path: extDir,
+    version: getInstallationVersion(extDir),
+    editor: detectEditor(extDir),
+    files: {
+      css: describeFile(cssPath),
+      script: describeFile(jsPath),
+      directory: describeFile(path.dirname(cssPath)),
+    },
+    classes: [],
+    components: [],
+    markers: { css: null, script: null },
+    backups: [],
+    manifest: { path: getManifestPath(cssPath), restorePoints: 0, contentMatches: null },
+    problems: [],
+  };
+  const { files, problems } = report;
+
+  try {
+    if (!files.css.exists) {
+      problems.push(`CSS file not found: ${cssPath}`);
+      return report;
+    }
+    if (!files.css.readable) {
+      problems.push(`CSS file is not readable: ${cssPath}`);
+      return report;
+    }
+
+    const content = fs.readFileSync(cssPath, "utf8");
+    const original = removePatchContent(content);
+    const classMap = extractClassMap(original);
+    report.classes = CLASS_PATTERNS.map((name) => ({
+      name,
+      hash: classMap[name] || null,
+      selector: classSelector(classMap, name),
+    }));
+    report.components = classifyClasses(original);
+    if (!classMap.message) {
+      problems.push(
+        "The message class was not found in the CSS; the patch cannot be applied to this version."
+      );
+    }
+
+    report.markers.css = describeMarkers(cssPath, content);
+    if (report.markers.css.state === "outdated") {
+      problems.push(`Patch is outdated (v${report.markers.css.version}, current is v${PATCH_VERSION}); re-run to upgrade.`);
+    }
+    if (files.script.exists && files.script.readable) {
+      report.markers.script = describeMarkers(jsPath, fs.readFileSync(jsPath, "utf8"));
+    }
+
+    if (!files.css.writable || !files.directory.writable) {
+      problems.push(
+        "The CSS file or its directory is not writable; run with enough permissions to patch it."
+      );
+    }
+
+    for (const suffix of [BACKUP_SUFFIX, ...LEGACY_BACKUP_SUFFIXES]) {
+      const backup = describeFile(cssPath + suffix);
+      if (backup.exists) report.backups.push({ ...backup, legacy: suffix !== BACKUP_SUFFIX });
+    }
+
+    report.manifest.restorePoints = readManifest(cssPath).restorePoints.length;
+    if (report.manifest.restorePoints > 0) {
+      const check = verifyKnownContent(cssPath, content);
+      report.manifest.contentMatches = check.ok;
+      if (!check.ok) problems.push(check.error);
+    }
+  } catch (err) {
+    problems.push(err.message);
+  }
+
+  return report;
+}
+
+/**
+ * Collects environment details for support bundles. `searchedHome` is the
+ * home directory installations were looked for in (`--home`), `configPath`
+ * the config file given with `--config` (default: the user config file).
+ */
+function getEnvironment(searchedHome = os.homedir(), configPath) {
+  let pkgVersion = null;
+  try {
+    pkgVersion = require("../package.json").version;
+  } catch {
+    // Not available when vendored without package.json
+  }
+
+  const configFile = configPath ? path.resolve(configPath) : getDefaultConfigPath();
+  let configError = null;
+  try {
+    loadConfig(configPath);
+  } catch (err) {
+    configError = err.message;
+  }
+
+  return {
+    toolVersion: pkgVersion,
+    patchVersion: PATCH_VERSION,
+    node: process.version,
+    platform: process.platform,
+    arch: process.arch,
+    osRelease: os.release(),
+    wsl: process.platform === "linux" && /microsoft/i.test(os.release()),
+    home: os.homedir(),
+    searchedHome,
+    claudeCodeExtDir: process.env.CLAUDE_CODE_EXT_DIR || null,
+    config: { path: configFile, exists: fs.existsSync(configFile), error: configError },
+  };
+}
+
+/**
+ * Runs all diagnostics. Returns { probes, installations }, plus `environment`
+ * when `options.environment` is set (for support bundles). `options.home`
+ * searches another home directory, as with `--home`; `options.configPath` is
+ * the config file given with `--config`.
+ */
+function runDoctor(options = {}) {
+  const { found, probes } = probeExtensionDirs(options.home);
+  const report = { probes, installations: found.map(diagnoseInstallation) };
+  if (options.environment) report.environment = getEnvironment(options.home, options.configPath);
+  return report;
+}
+
+/**
+ * Formats a doctor report as human-readable lines.
+ */
+function formatDoctorReport(report) {
+  const lines = ["Probed extension roots:"];
+  for (const probe of report.probes) {
+    lines.push(`  [${probe.status}] ${probe.path} (${probe.reason})`);
+  }
+
+  if (report.installations.length === 0) {
+    lines.push("", "No Claude Code installation found.");
+    return lines;
+  }
+
+  for (const inst of report.installations) {
+    lines.push("", `[${inst.version}] ${inst.editor} — ${inst.path}`);
+
+    for (const [label, file] of Object.entries(inst.files)) {
+      lines.push(
+        file.exists
+          ? `  ${label}: ${file.path} (mode ${file.mode}, ${file.readable ? "readable" : "NOT readable"}, ${file.writable ? "writable" : "NOT writable"})`
+          : `  ${label}: ${file.path} (missing)`
+      );
+    }
+
+    if (inst.classes.length > 0) {
+      const resolved = inst.classes.filter((c) => c.hash);
+      lines.push(`  Classes resolved: ${resolved.length}/${inst.classes.length}`);
+      for (const cls of inst.classes) {
+        lines.push(`    ${cls.hash ? "✓" : "✗"} ${cls.name.padEnd(26)} ${cls.selector}`);
+      }
+    }
+
+    if (inst.components.length > 0) {
+      const counts = CLASS_KINDS.map(
+        (kind) => `${inst.components.filter((c) => c.kind === kind).length} ${kind}`
+      );
+      lines.push(`  Components: ${counts.join(", ")} (text and code ones are covered automatically)`);
+      for (const component of inst.components) {
+        if (component.kind === "layout") continue;
+        lines.push(`    ${component.kind.padEnd(5)} ${component.name.padEnd(26)} ${component.reason}`);
+      }
+    }
+
+    for (const [label, markers] of Object.entries(inst.markers)) {
+      if (!markers) continue;
+      const version = markers.version ? ` v${markers.version}` : "";
+      const legacy = markers.legacyFormat ? ", legacy format" : "";
+      lines.push(`  ${label} patch: ${markers.state}${version}${legacy}`);
+    }
+
+    lines.push(
+      inst.backups.length > 0
+        ? `  Backups: ${inst.backups.map((b) => `${b.path}${b.legacy ? " (legacy)" : ""}`).join(", ")}`
+        : "  Backups: none"
+    );
+    lines.push(
+      `  Manifest: ${inst.manifest.restorePoints} restore point(s)` +
+        (inst.manifest.contentMatches === false ? ", CSS changed since it was patched" : "")
+    );
+
+    if (inst.problems.length > 0) {
+      lines.push("  Problems:", ...inst.problems.map((problem) => `    - ${problem}`));
+    } else {
+      lines.push("  No problems found.");
+    }
+  }
+
+  return lines;
+}
+
+module.exports = { runDoctor, diagnoseInstallation, formatDoctorReport, getEnvironment };
@@ -1,11 +1,76 @@
 const vscode = require("vscode");
+const fs = require("fs");
 const path = require("path");
 const {
   findExtensionDirs,
+  selectActiveInstallations,
   applyPatch,
+  applyScriptPatch,
+  getScriptPath,
   revertPatch,
   checkPatch,
+  getInstallationVersion,
+  PATCH_VERSION,
 } = require("./patch-rtl");
+const { loadConfig } = require("./config");
+const { SECTION, RELOAD_BEHAVIORS, applySettings } = require("./settings");
+const { checkInstallationCompat } = require("./compat");
+
+const OUTPUT_NAME = "Claude Code RTL Fix";
+
+// Created in activate(); log() is a no-op before that
+let output = null;
+// Last logged discovery result, so repeated lookups are only logged on change
+let lastDiscovery = null;
+// Installations whose compatibility warnings were shown this session
+const compatChecked = new Set();
+
+/**
+ * Appends a timestamped line to the "Claude Code RTL Fix" output channel.
+ */
+function log(message) {
+  if (output) output.appendLine(`${new Date().toISOString()} ${message}`);
+}
+
+/**
+ * Shows a warning (or error) notification with an "Open Log" button.
+ */
+function showWarning(message, { error = false } = {}) {
+  const text = `Claude Code RTL Fix: ${message}`;
+  const shown = error
+    ? vscode.window.showErrorMessage(text, "Open Log")
+    : vscode.window.showWarningMessage(text, "Open Log");
+  shown.then((choice) => {
+    if (choice === "Open Log" && output) output.show(true);
+  });
+}
+
+/**
+ * Formats a class map for the log: "message=abc12, timelineMessage=def34".
+ */
+function formatClassMap(classMap) {
+  return Object.entries(classMap)
+    .map(([name, hash]) => `${name}=${hash}`)
+    .join(", ");
+}
+
+/**
+ * Returns the value of a `claudeCodeRtlFix.*` setting only if the user set it
+ * explicitly (workspace before user settings), otherwise undefined.
+ */
+function readExplicitSetting(key) {
+  const { globalValue, workspaceValue } =
+    vscode.workspace.getConfiguration(SECTION).inspect(key) || {};
+  return workspaceValue ?? globalValue;
+}
+
+/**
+ * Builds the applyPatch options from ~/.claude-code-rtl.json, with the
+ * `claudeCodeRtlFix.*` settings taking precedence where they are set.
+ */
+function getPatchOptions() {
+  return { config: applySettings(loadConfig(), readExplicitSetting) };
+}
 
 /**
  * Finds the Claude Code extension's CSS file path from inside VS Code,
@@ -15,140 +80,397 @@ function findCssFilesViaApi() {
   const claudeExt = vscode.extensions.all.find(
     (ext) => ext.id === "anthropic.claude-code"
   );
+  let source = "extensions API";
+  let targets;
   if (claudeExt) {
     const cssPath = path.join(
       claudeExt.extensionPath,
       "webview",
       "index.css"
     );
-    return [{ cssPath, extDir: claudeExt.extensionPath }];
+    targets = [{ cssPath, extDir: claudeExt.extensionPath }];
+  } else {
+    // Fallback to filesystem discovery
+    source = "filesystem search";
+    targets = selectActiveInstallations(findExtensionDirs()).map((dir) => ({
+      cssPath: path.join(dir, "webview", "index.css"),
+      extDir: dir,
+    }));
+  }
+
+  const discovery = `${source}: ${targets.map((t) => t.cssPath).join(", ")}`;
+  if (discovery !== lastDiscovery) {
+    lastDiscovery = discovery;
+    if (targets.length === 0) {
+      log("Discovery: Claude Code extension not found (extensions API and filesystem search)");
+    } else {
+      log(`Discovery via ${source}:`);
+      for (const { cssPath, extDir } of targets) {
+        log(`  [${getInstallationVersion(extDir)}] ${cssPath}`);
+      }
+    }
+  }
+  return targets;
+}
+
+/**
+ * Applies the CSS patch and, when enabled in the config, the webview script
+ * patch. Returns the CSS patch result.
+ */
+function patchTarget(cssPath, options) {
+  const result = applyPatch(cssPath, options);
+  if (!result.success) {
+    log(`Apply failed for ${cssPath}: ${result.error}`);
+    return result;
+  }
+  log(`Applied patch to ${cssPath} (direction ${options.config.direction})`);
+  log(`  classMap: ${formatClassMap(result.classMap)}`);
+  if (result.backupPath) log(`  backup: ${result.backupPath}`);
+
+  const jsPath = getScriptPath(cssPath);
+  if (options.config.patchScript) {
+    const scriptResult = applyScriptPatch(jsPath, { ...options, classMap: result.classMap });
+    if (scriptResult.success) {
+      log(`Applied script patch to ${jsPath}`);
+    } else {
+      log(`Script patch failed for ${jsPath}: ${scriptResult.error}`);
+      showWarning(`Webview script patch failed: ${scriptResult.error}`);
+    }
+  } else if (checkPatch(jsPath) !== "absent") {
+    const scriptResult = revertPatch(jsPath);
+    log(
+      scriptResult.success
+        ? `Reverted script patch of ${jsPath} (script patching is off)`
+        : `Script revert failed for ${jsPath}: ${scriptResult.error}`
+    );
+  }
+  return result;
+}
+
+/**
+ * Logs and shows the compatibility warnings for an installation, once per
+ * installation and session.
+ */
+function warnCompat(cssPath) {
+  const extDir = path.dirname(path.dirname(cssPath));
+  if (compatChecked.has(extDir)) return;
+  compatChecked.add(extDir);
+  const compat = checkInstallationCompat(extDir);
+  if (!compat) return;
+  for (const warning of compat.warnings) log(`Compatibility: ${warning}`);
+  if (compat.warnings.length > 0) showWarning(compat.warnings.join(" "));
+}
+
+/**
+ * Reverts both the CSS and the webview script patch. Returns the CSS result.
+ */
+function revertTarget(cssPath) {
+  const jsPath = getScriptPath(cssPath);
+  if (checkPatch(jsPath) !== "absent") {
+    const scriptResult = revertPatch(jsPath);
+    log(
+      scriptResult.success
+        ? `Reverted script patch of ${jsPath} (${scriptResult.method})`
+        : `Script revert failed for ${jsPath}: ${scriptResult.error}`
+    );
+  }
+  const result = revertPatch(cssPath);
+  log(
+    result.success
+      ? `Reverted patch of ${cssPath} (${result.method})`
+      : `Revert failed for ${cssPath}: ${result.error}`
+  );
+  return result;
+}
+
+/**
+ * Returns the patch state of an installation: "current", "outdated" or
+ * "absent". The CSS patch counts as outdated if it was written by an older
+ * release or with a different config; the webview script is considered too
+ * when script patching is enabled.
+ */
+function getTargetState(cssPath, options) {
+  const state = checkPatch(cssPath, options);
+  const jsPath = getScriptPath(cssPath);
+  if (state !== "current" || !options.config.patchScript || !fs.existsSync(jsPath)) {
+    return state;
+  }
+  return checkPatch(jsPath) === "current" ? "current" : "outdated";
+}
+
+/**
+ * Tells the user the webview CSS changed, following the
+ * `claudeCodeRtlFix.reloadBehavior` setting: offer a reload ("prompt"),
+ * reload right away ("auto") or only show the message ("never").
+ */
+function notifyChanged(message) {
+  const configured = vscode.workspace.getConfiguration(SECTION).get("reloadBehavior");
+  const behavior = RELOAD_BEHAVIORS.includes(configured) ? configured : "prompt";
+
+  if (behavior === "auto") {
+    vscode.commands.executeCommand("workbench.action.reloadWindow");
+    return;
+  }
+  if (behavior === "never") {
+    vscode.window.showInformationMessage(message);
+    return;
+  }
+  vscode.window
+    .showInformationMessage(`${message} Reload window to see changes.`, "Reload Now")
+    .then((choice) => {
+      if (choice === "Reload Now") {
+        vscode.commands.executeCommand("workbench.action.reloadWindow");
+      }
+    });
+}
+
+/**
+ * Brings every installation in line with the current settings: patches
+ * missing (only with autoPatch on) and outdated patches — including ones
+ * generated with different settings. Returns the number of installations
+ * patched and whether any of them was an upgrade.
+ */
+function syncTargets(options) {
+  const autoPatch = vscode.workspace.getConfiguration(SECTION).get("autoPatch", true);
+  let patched = 0;
+  let upgraded = false;
+  for (const { cssPath } of findCssFilesViaApi()) {
+    const state = getTargetState(cssPath, options);
+    warnCompat(cssPath);
+    if (state === "current" || (state === "absent" && !autoPatch)) continue;
+    log(`Patch is ${state} in ${cssPath}; patching`);
+    if (patchTarget(cssPath, options).success) {
+      patched++;
+      upgraded = upgraded || state === "outdated";
+    } else {
+      showWarning("Patch could not be applied.");
+    }
+  }
+  return { patched, upgraded };
+}
+
+const STATUS_LABELS = {
+  current: { icon: "$(check)", text: "RTL patch is current" },
+  outdated: { icon: "$(warning)", text: "RTL patch is outdated" },
+  absent: { icon: "$(circle-slash)", text: "RTL patch is not applied" },
+};
+
+/**
+ * Returns the active installation and its patch state, or null if Claude
+ * Code is not installed. With an invalid config the state only tells whether
+ * a patch is there at all.
+ */
+function getActiveState() {
+  const [target] = findCssFilesViaApi();
+  if (!target || !fs.existsSync(target.cssPath)) return null;
+  try {
+    return { ...target, state: getTargetState(target.cssPath, getPatchOptions()) };
+  } catch {
+    return { ...target, state: checkPatch(target.cssPath) };
+  }
+}
+
+/**
+ * Shows the patch state of the active installation in the status bar item.
+ */
+function updateStatusBar(item) {
+  const active = getActiveState();
+  if (!active) {
+    item.text = "$(circle-slash) RTL";
+    item.tooltip = "Claude Code RTL Fix: Claude Code extension not found";
+    item.show();
+    return;
+  }
+
+  const label = STATUS_LABELS[active.state];
+  item.text = `${label.icon} RTL`;
+  item.tooltip = [
+    `Claude Code RTL Fix: ${label.text}`,
+    `Claude Code ${getInstallationVersion(active.extDir)}`,
+    active.cssPath,
+    active.state === "current" ? "Click to revert" : "Click to apply",
+  ].join("\n");
+  item.show();
+}
+
+/**
+ * Patches every installation with the current settings (the patchNow
+ * command).
+ */
+function patchAll() {
+  const targets = findCssFilesViaApi();
+  if (targets.length === 0) {
+    showWarning("Claude Code extension not found. Install it first.", { error: true });
+    return;
+  }
+  let options;
+  try {
+    options = getPatchOptions();
+  } catch (err) {
+    log(`Config error: ${err.message}`);
+    showWarning(err.message, { error: true });
+    return;
+  }
+  let patched = 0;
+  for (const { cssPath } of targets) {
+    const result = patchTarget(cssPath, options);
+    if (result.success) patched++;
+    warnCompat(cssPath);
+  }
+  if (patched > 0) {
+    notifyChanged(`Claude Code RTL Fix: Patched ${patched} installation(s).`);
+  } else {
+    showWarning("Patch could not be applied.");
+  }
+}
+
+/**
+ * Reverts the patch of every installation (the revert command).
+ */
+function revertAll() {
+  const targets = findCssFilesViaApi();
+  let reverted = 0;
+  for (const { cssPath } of targets) {
+    const result = revertTarget(cssPath);
+    if (result.success) reverted++;
+  }
+  if (reverted > 0) {
+    notifyChanged(`Claude Code RTL Fix: Reverted ${reverted} installation(s).`);
+  } else {
+    showWarning("No patch found to revert.");
   }
-  // Fallback to filesystem discovery
-  return findExtensionDirs().map((dir) => ({
-    cssPath: path.join(dir, "webview", "index.css"),
-    extDir: dir,
-  }));
 }
 
 function activate(context) {
+  output = vscode.window.createOutputChannel(OUTPUT_NAME);
+  context.subscriptions.push(output);
+  log(`Activated (patch version ${PATCH_VERSION})`);
+
+  const statusItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Right, 100);
+  statusItem.name = "Claude Code RTL Fix";
+  statusItem.command = "claudeCodeRtlFix.toggle";
+  context.subscriptions.push(statusItem);
+  const refreshStatus = () => {
+    try {
+      updateStatusBar(statusItem);
+    } catch (err) {
+      log(`Status update failed: ${err.message}`);
+    }
+  };
+
   // Auto-patch on activation
   try {
-    const targets = findCssFilesViaApi();
-    for (const { cssPath, extDir } of targets) {
-      if (!checkPatch(cssPath)) {
-        const result = applyPatch(cssPath);
-        if (result.success) {
-          vscode.window
-            .showInformationMessage(
-              "Claude Code RTL Fix: Patch applied. Reload window to see changes.",
-              "Reload Now"
-            )
-            .then((choice) => {
-              if (choice === "Reload Now") {
-                vscode.commands.executeCommand("workbench.action.reloadWindow");
-              }
-            });
-        }
-      }
+    const { patched, upgraded } = syncTargets(getPatchOptions());
+    if (patched > 0) {
+      notifyChanged(
+        upgraded ? "Claude Code RTL Fix: Patch upgraded." : "Claude Code RTL Fix: Patch applied."
+      );
     }
   } catch (err) {
-    console.error("Claude Code RTL Fix: auto-patch failed:", err.message);
+    log(`Auto-patch failed: ${err.stack || err.message}`);
+    showWarning(`Auto-patch failed: ${err.message}`);
   }
+  refreshStatus();
 
   // Watch for extension updates — re-patch when the Claude Code extension changes
   const watcher = vscode.extensions.onDidChange(() => {
+    log("Extensions changed");
     try {
-      const targets = findCssFilesViaApi();
-      for (const { cssPath } of targets) {
-        if (!checkPatch(cssPath)) {
-          const result = applyPatch(cssPath);
-          if (result.success) {
-            vscode.window
-              .showInformationMessage(
-                "Claude Code RTL Fix: Re-applied after extension update. Reload window.",
-                "Reload Now"
-              )
-              .then((choice) => {
-                if (choice === "Reload Now") {
-                  vscode.commands.executeCommand(
-                    "workbench.action.reloadWindow"
-                  );
-                }
-              });
-          }
-        }
+      if (syncTargets(getPatchOptions()).patched > 0) {
+        notifyChanged("Claude Code RTL Fix: Re-applied after extension update.");
       }
     } catch (err) {
-      console.error("Claude Code RTL Fix: re-patch failed:", err.message);
+      log(`Re-patch failed: ${err.stack || err.message}`);
+      showWarning(`Re-patch failed: ${err.message}`);
     }
+    refreshStatus();
   });
-  context.subscriptions.push(watcher);
 
-  // Manual patch command
-  const patchCmd = vscode.commands.registerCommand(
-    "claudeCodeRtlFix.patchNow",
-    () => {
-      const targets = findCssFilesViaApi();
-      if (targets.length === 0) {
-        vscode.window.showErrorMessage(
-          "Claude Code extension not found. Install it first."
-        );
-        return;
+  // Regenerate the patch when our settings change
+  const configWatcher = vscode.workspace.onDidChangeConfiguration((event) => {
+    if (!event.affectsConfiguration(SECTION)) return;
+    log("Settings changed");
+    try {
+      if (syncTargets(getPatchOptions()).patched > 0) {
+        notifyChanged("Claude Code RTL Fix: Patch updated for the new settings.");
       }
-      let patched = 0;
-      for (const { cssPath } of targets) {
-        const result = applyPatch(cssPath);
-        if (result.success) patched++;
+    } catch (err) {
+      log(`Config error: ${err.message}`);
+      showWarning(err.message, { error: true });
+    }
+    refreshStatus();
+  });
+  context.subscriptions.push(watcher, configWatcher);
+
+  const patchCmd = vscode.commands.registerCommand("claudeCodeRtlFix.patchNow", () => {
+    patchAll();
+    refreshStatus();
+  });
+
+  const revertCmd = vscode.commands.registerCommand("claudeCodeRtlFix.revert", () => {
+    revertAll();
+    refreshStatus();
+  });
+
+  // Status bar click: revert a current patch, otherwise apply or upgrade it
+  const toggleCmd = vscode.commands.registerCommand("claudeCodeRtlFix.toggle", () => {
+    const active = getActiveState();
+    if (active && active.state === "current") revertAll();
+    else patchAll();
+    refreshStatus();
+  });
+
+  const showLogCmd = vscode.commands.registerCommand("claudeCodeRtlFix.showLog", () => {
+    output.show();
+  });
+
+  // Bound to Ctrl+Shift+X while the Claude Code webview is focused, so VS Code
+  // leaves the chord to the webview script, which does the actual toggling.
+  // Without the script nothing would handle it, so say what is missing.
+  const toggleInputCmd = vscode.commands.registerCommand(
+    "claudeCodeRtlFix.toggleInputDirection",
+    (source) => {
+      const [target] = findCssFilesViaApi();
+      const scriptPatched = Boolean(target) && checkPatch(getScriptPath(target.cssPath)) !== "absent";
+      if (scriptPatched && source === "keybinding") return;
+
+      let patchScript = false;
+      try {
+        patchScript = getPatchOptions().config.patchScript;
+      } catch {
+        // Reported by the other commands
       }
-      if (patched > 0) {
-        vscode.window
-          .showInformationMessage(
-            `Claude Code RTL Fix: Patched ${patched} installation(s). Reload window.`,
-            "Reload Now"
-          )
-          .then((choice) => {
-            if (choice === "Reload Now") {
-              vscode.commands.executeCommand("workbench.action.reloadWindow");
-            }
-          });
+      let message;
+      if (scriptPatched) {
+        message = "Press Ctrl+Shift+X (Cmd+Shift+X on macOS) in the Claude Code prompt to switch it between auto, RTL and LTR.";
+      } else if (patchScript) {
+        message = "The webview script is not patched yet. Run Claude Code RTL Fix: Patch Now, then reload the window.";
       } else {
-        vscode.window.showWarningMessage(
-          "Claude Code RTL Fix: Patch could not be applied."
-        );
+        message = "Switching the prompt direction needs the webview script patch. Turn on claudeCodeRtlFix.patchScript first.";
       }
+      vscode.window.showInformationMessage(`Claude Code RTL Fix: ${message}`);
     }
   );
 
-  // Revert command
-  const revertCmd = vscode.commands.registerCommand(
-    "claudeCodeRtlFix.revert",
+  // Per-message direction overrides only live in the webview's DOM, so
+  // reloading the webviews resets all of them. VS Code has no way to reload
+  // one extension's webviews, so those of other extensions reload too.
+  const resetDirectionsCmd = vscode.commands.registerCommand(
+    "claudeCodeRtlFix.resetMessageDirections",
     () => {
-      const targets = findCssFilesViaApi();
-      let reverted = 0;
-      for (const { cssPath } of targets) {
-        const result = revertPatch(cssPath);
-        if (result.success) reverted++;
-      }
-      if (reverted > 0) {
-        vscode.window
-          .showInformationMessage(
-            `Claude Code RTL Fix: Reverted ${reverted} installation(s). Reload window.`,
-            "Reload Now"
-          )
-          .then((choice) => {
-            if (choice === "Reload Now") {
-              vscode.commands.executeCommand("workbench.action.reloadWindow");
-            }
-          });
-      } else {
-        vscode.window.showWarningMessage(
-          "Claude Code RTL Fix: No patch found to revert."
-        );
-      }
+      log("Resetting message direction overrides (reloading webviews)");
+      return vscode.commands.executeCommand("workbench.action.webview.reloadWebviewAction");
     }
   );
 
-  context.subscriptions.push(patchCmd, revertCmd);
+  context.subscriptions.push(
+    patchCmd,
+    revertCmd,
+    toggleCmd,
+    showLogCmd,
+    toggleInputCmd,
+    resetDirectionsCmd
+  );
 }
 
 function deactivate() {}
@@ -0,0 +1,211 @@
+/**
+ * Backup manifest and restore points.
+ *
+ * Each installation keeps a manifest next to the patched files
+ * (webview/.rtl-fix-manifest.json). Every time a file is patched we record
+ * the SHA-256 of its original and patched content, the Claude Code version,
+ * the patch version and a timestamp. A copy of each distinct original is
+ * kept as a restore point in webview/.rtl-fix-restore/, so an in-place
+ * update of the extension's CSS produces a new restore point instead of
+ * silently invalidating the single backup.
+ *
+ * Restoring refuses to touch a file whose content no longer matches what we
+ * recorded — that means something else (usually a Claude Code update) has
+ * rewritten it since, and restoring would clobber the newer upstream file.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const MANIFEST_NAME = ".rtl-fix-manifest.json";
+const RESTORE_DIR_NAME = ".rtl-fix-restore";
+const MANIFEST_VERSION = 1;
+
+// Restore points kept per patched file; older ones are deleted
+const MAX_RESTORE_POINTS = 5;
+
+function sha256(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+function getManifestPath(filePath) {
+  return path.join(path.dirname(filePath), MANIFEST_NAME);
+}
+
+function getRestoreDir(filePath) {
+  return path.join(path.dirname(filePath), RESTORE_DIR_NAME);
+}
+
+/**
+ * Reads the manifest for the installation that owns `filePath`.
+ * Returns an empty manifest if there is none (or it is unreadable).
+ */
+function readManifest(filePath) {
+  try {
+    const manifest = JSON.parse(fs.readFileSync(getManifestPath(filePath), "utf8"));
+    if (manifest.manifestVersion === MANIFEST_VERSION && Array.isArray(manifest.restorePoints)) {
+      return manifest;
+    }
+  } catch {
+    // Missing or corrupt — start over
+  }
+  return { manifestVersion: MANIFEST_VERSION, nextId: 1, restorePoints: [] };
+}
+
+function writeManifest(filePath, manifest) {
+  fs.writeFileSync(getManifestPath(filePath), JSON.stringify(manifest, null, 2) + "\n");
+}
+
+/**
+ * Returns the restore point that describes the file's current state:
+ * the most recently patched or restored point for that file, or null.
+ */
+function getCurrentPoint(manifest, filePath) {
+  const file = path.basename(filePath);
+  const points = manifest.restorePoints.filter((p) => p.file === file);
+  return points.length > 0 ? points[points.length - 1] : null;
+}
+
+/**
+ * Reads the Claude Code version from the extension's package.json, which
+ * lives two levels above webview/<file>. Returns null if unavailable.
+ */
+function readExtensionVersion(filePath) {
+  try {
+    const pkgPath = path.join(path.dirname(filePath), "..", "package.json");
+    const pkg = JSON.parse(fs.readFileSync(pkgPath, "utf8"));
+    return pkg.version || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Records a patch of `filePath` in the manifest.
+ *
+ * If the original content matches an existing restore point, that point is
+ * updated and becomes current; otherwise a new restore point is created with
+ * a copy of the original. Returns the current restore point.
+ */
+function recordPatch(filePath, { original, patched, patchVersion }) {
+  const manifest = readManifest(filePath);
+  const file = path.basename(filePath);
+  const originalSha256 = sha256(original);
+  const now = new Date().toISOString();
+
+  let point = manifest.restorePoints.find(
+    (p) => p.file === file && p.originalSha256 === originalSha256
+  );
+  if (point) {
+    manifest.restorePoints.splice(manifest.restorePoints.indexOf(point), 1);
+  } else {
+    const restoreDir = getRestoreDir(filePath);
+    fs.mkdirSync(restoreDir, { recursive: true });
+    const id = manifest.nextId++;
+    const backupFile = path.join(RESTORE_DIR_NAME, `${file}.${id}`);
+    fs.writeFileSync(path.join(path.dirname(filePath), backupFile), original);
+    point = { id, file, createdAt: now, originalSha256, backupFile };
+  }
+
+  Object.assign(point, {
+    updatedAt: now,
+    extensionVersion: readExtensionVersion(filePath),
+    patchVersion,
+    patchedSha256: sha256(patched),
+  });
+  manifest.restorePoints.push(point);
+
+  // Drop the oldest restore points for this file beyond the limit
+  const forFile = manifest.restorePoints.filter((p) => p.file === file);
+  for (const old of forFile.slice(0, Math.max(0, forFile.length - MAX_RESTORE_POINTS))) {
+    fs.rmSync(path.join(path.dirname(filePath), old.backupFile), { force: true });
+    manifest.restorePoints.splice(manifest.restorePoints.indexOf(old), 1);
+  }
+
+  writeManifest(filePath, manifest);
+  return point;
+}
+
+/**
+ * Checks whether `content` is something we wrote or recorded for the file:
+ * the patched or original content of its current restore point.
+ * Returns { ok: true } when there is no manifest entry to check against.
+ */
+function verifyKnownContent(filePath, content) {
+  const current = getCurrentPoint(readManifest(filePath), filePath);
+  if (!current) return { ok: true, point: null };
+
+  const actual = sha256(content);
+  if (actual === current.patchedSha256 || actual === current.originalSha256) {
+    return { ok: true, point: current };
+  }
+  return {
+    ok: false,
+    point: current,
+    error:
+      `${path.basename(filePath)} has changed since it was last patched ` +
+      `(expected sha256 ${current.patchedSha256.slice(0, 12)}…, found ${actual.slice(0, 12)}…). ` +
+      "Claude Code has probably been updated in place; restoring would overwrite the newer file. " +
+      "Re-apply the patch to create a fresh restore point.",
+  };
+}
+
+/**
+ * Lists the restore points of the installation that owns `filePath`.
+ */
+function listRestorePoints(filePath) {
+  return readManifest(filePath).restorePoints;
+}
+
+/**
+ * Restores the original content saved in restore point `id`.
+ * `filePath` is any patched file of the installation (e.g. webview/index.css);
+ * the restore point decides which file is written.
+ */
+function restorePoint(filePath, id) {
+  const manifest = readManifest(filePath);
+  const point = manifest.restorePoints.find((p) => String(p.id) === String(id));
+  if (!point) {
+    return { success: false, error: `No restore point ${id}` };
+  }
+
+  const dir = path.dirname(filePath);
+  const target = path.join(dir, point.file);
+  const backup = path.join(dir, point.backupFile);
+  if (!fs.existsSync(backup)) {
+    return { success: false, error: `Restore point ${id} is missing its backup ${backup}` };
+  }
+
+  if (fs.existsSync(target)) {
+    const check = verifyKnownContent(target, fs.readFileSync(target, "utf8"));
+    if (!check.ok) return { success: false, error: check.error };
+  }
+
+  const original = fs.readFileSync(backup, "utf8");
+  if (sha256(original) !== point.originalSha256) {
+    return { success: false, error: `Restore point ${id} backup is corrupt (checksum mismatch)` };
+  }
+  fs.writeFileSync(target, original);
+
+  // The restored point now describes the file's state
+  manifest.restorePoints.splice(manifest.restorePoints.indexOf(point), 1);
+  manifest.restorePoints.push({ ...point, updatedAt: new Date().toISOString() });
+  writeManifest(target, manifest);
+
+  return { success: true, file: target, point };
+}
+
+module.exports = {
+  MANIFEST_NAME,
+  RESTORE_DIR_NAME,
+  MAX_RESTORE_POINTS,
+  sha256,
+  getManifestPath,
+  readManifest,
+  getCurrentPoint,
+  recordPatch,
+  verifyKnownContent,
+  listRestorePoints,
+  restorePoint,
+};
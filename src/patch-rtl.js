@@ -8,27 +8,72 @@
  * This script is version-agnostic: it dynamically discovers the extension
  * directory and CSS module class names regardless of the installed version.
  *
- * Usage:
- *   node patch-rtl.js            # Apply RTL fix
- *   node patch-rtl.js --revert   # Revert the fix
- *   node patch-rtl.js --check    # Check if patch is applied
+ * This is the shared core used by both entry points: the npm bin (fix-rtl.js,
+ * via src/cli.js) and the companion VS Code extension (src/extension.js).
+ * Running it directly behaves like the CLI — see src/cli.js for options.
  */
 
 const fs = require("fs");
 const path = require("path");
 const os = require("os");
+const { resolveConfig } = require("./config");
+const { generateRtlScript, MESSAGE_DIR_ATTR } = require("./webview-script");
+const { createUnifiedDiff } = require("./diff");
+const { compareVersions } = require("./semver");
+const { classifyClasses } = require("./classify");
+const {
+  sha256,
+  readManifest,
+  getCurrentPoint,
+  recordPatch,
+  verifyKnownContent,
+  restorePoint,
+  listRestorePoints,
+} = require("./manifest");
 
 // Marker comments used to identify our injected CSS
 const PATCH_START = "/* CLAUDE-CODE-RTL-FIX:START */";
 const PATCH_END = "/* CLAUDE-CODE-RTL-FIX:END */";
 
+// Version of the generated patch, recorded in the patch block's META line
+// and in the backup manifest. Bump it whenever the generated rules change, so
+// installations patched by an older release are reported as outdated and
+// upgraded. Version 1 is the unversioned format of the standalone
+// fix-rtl.js; version 2 blocks have no META line and are identified through
+// the manifest.
+const PATCH_VERSION = 7;
+
+// First line inside a patch block:
+//   /* CLAUDE-CODE-RTL-FIX:META version=3 sha256=<hash of the block body> */
+const PATCH_META_PREFIX = "/* CLAUDE-CODE-RTL-FIX:META";
+
+// Backup of the unpatched file, written next to it
+const BACKUP_SUFFIX = ".rtl-backup";
+
+// Formats written by earlier releases of the standalone fix-rtl.js: the CSS
+// was wrapped in a pair of identical markers (or a single one running to the
+// end of the file) and the backup was kept in `.bak`. They are still
+// recognised, and migrated to the current format whenever a file is patched,
+// checked or reverted.
+const LEGACY_MARKER = "/* CLAUDE-CODE-RTL-FIX */";
+const LEGACY_BACKUP_SUFFIXES = [".bak"];
+
+// Folder name prefix of Claude Code installations in an extensions root
+const INSTALLATION_PREFIX = "anthropic.claude-code-";
+
+// Context lines longer than this are truncated in dry-run diffs
+const DIFF_MAX_LINE_LENGTH = 200;
+
 /**
- * Finds the Claude Code extension directory across platforms and VS Code variants.
- * Returns the path or null if not found.
+ * Lists the extensions roots to search, across platforms and VS Code variants.
+ *
+ * `home` defaults to the current user's home. For another home (`--home`,
+ * e.g. a mounted devcontainer), locations derived from this machine's
+ * environment — APPDATA, XDG_DATA_HOME, the WSL host's users — are left out.
  */
-function findExtensionDirs() {
-  const home = os.homedir();
+function getCandidateRoots(home = os.homedir()) {
   const candidates = [];
+  const ownHome = path.resolve(home) === path.resolve(os.homedir());
 
   // Standard VS Code — all platforms
   candidates.push(path.join(home, ".vscode", "extensions"));
@@ -41,8 +86,26 @@ function findExtensionDirs() {
   // Cursor
   candidates.push(path.join(home, ".cursor", "extensions"));
 
+  // Other VS Code forks keep extensions in ~/.<name>/extensions on every platform
+  candidates.push(path.join(home, ".vscode-oss", "extensions")); // VSCodium
+  candidates.push(path.join(home, ".windsurf", "extensions"));
+  candidates.push(path.join(home, ".positron", "extensions"));
+
+  // code-server follows the XDG layout
+  const dataHome =
+    (ownHome && process.env.XDG_DATA_HOME) || path.join(home, ".local", "share");
+  candidates.push(path.join(dataHome, "code-server", "extensions"));
+
+  // Flatpak builds persist the editor's dot directory inside their sandbox
+  // data, strictly confined Snaps inside ~/snap/<name>/current
+  const flatpakApps = path.join(home, ".var", "app");
+  candidates.push(path.join(flatpakApps, "com.visualstudio.code", ".vscode", "extensions"));
+  candidates.push(path.join(flatpakApps, "com.vscodium.codium", ".vscode-oss", "extensions"));
+  candidates.push(path.join(home, "snap", "code", "current", ".vscode", "extensions"));
+  candidates.push(path.join(home, "snap", "codium", "current", ".vscode-oss", "extensions"));
+
   // Windows-specific: APPDATA / LOCALAPPDATA locations
-  if (process.platform === "win32") {
+  if (process.platform === "win32" && ownHome) {
     const appData = process.env.APPDATA;
     const localAppData = process.env.LOCALAPPDATA;
     if (appData) {
@@ -62,7 +125,7 @@ function findExtensionDirs() {
   }
 
   // WSL: access Windows host extensions from inside WSL
-  if (process.platform === "linux" && fs.existsSync("/mnt/c/Users")) {
+  if (process.platform === "linux" && ownHome && fs.existsSync("/mnt/c/Users")) {
     try {
       const winUsers = fs.readdirSync("/mnt/c/Users").filter(
         (u) => u !== "Public" && u !== "Default" && u !== "Default User" && u !== "All Users"
@@ -76,30 +139,253 @@ function findExtensionDirs() {
     }
   }
 
+  return candidates;
+}
+
+/**
+ * Tells whether a CLAUDE_CODE_EXT_DIR entry names an extension folder rather
+ * than an extensions root.
+ */
+function isExtensionFolder(dir) {
+  return (
+    path.basename(dir).startsWith(INSTALLATION_PREFIX) ||
+    fs.existsSync(path.join(dir, "webview", "index.css"))
+  );
+}
+
+/**
+ * Searches every candidate root for Claude Code installations and records
+ * what happened to each one, for --doctor.
+ *
+ * CLAUDE_CODE_EXT_DIR replaces the candidate roots when set: a list separated
+ * by the platform's path delimiter (":" or ";"), where each entry is either
+ * an extensions root or an extension folder.
+ *
+ * Returns { found, probes } where `found` lists the installation directories
+ * and `probes` has one { path, status, reason } entry per root or entry.
+ * `status` is "found" (installations found), "empty" (readable, but none
+ * there) or "skipped" (with the reason).
+ */
+function probeExtensionDirs(home = os.homedir()) {
+  const candidates = getCandidateRoots(home);
+  const found = [];
+  const probes = [];
+  // Real paths already found, so a root reached twice (e.g. through a
+  // symlink) or a registered folder inside the root is listed once
+  const seen = new Set();
+  const addFound = (dir) => {
+    const real = realPath(dir);
+    if (seen.has(real)) return false;
+    seen.add(real);
+    found.push(dir);
+    return true;
+  };
+
   // Allow override via environment variable
-  if (process.env.CLAUDE_CODE_EXT_DIR) {
-    return [process.env.CLAUDE_CODE_EXT_DIR];
+  const override = (process.env.CLAUDE_CODE_EXT_DIR || "").split(path.delimiter).filter(Boolean);
+  if (override.length > 0) {
+    for (const entry of override) {
+      if (isExtensionFolder(entry)) {
+        // Listed even if missing, so --check reports the bad path
+        addFound(entry);
+        probes.push({ path: entry, status: "found", reason: "CLAUDE_CODE_EXT_DIR extension folder" });
+      } else {
+        const probe = probeRoot(entry, addFound);
+        probes.push({ ...probe, reason: `CLAUDE_CODE_EXT_DIR root: ${probe.reason}` });
+      }
+    }
+    const reason = "CLAUDE_CODE_EXT_DIR is set";
+    probes.push(...candidates.map((root) => ({ path: root, status: "skipped", reason })));
+    return { found, probes };
   }
 
-  const found = [];
-  for (const extDir of candidates) {
-    if (!fs.existsSync(extDir)) continue;
-    try {
-      const entries = fs.readdirSync(extDir);
-      for (const entry of entries) {
-        if (entry.startsWith("anthropic.claude-code-")) {
-          const fullPath = path.join(extDir, entry);
-          if (fs.statSync(fullPath).isDirectory()) {
-            found.push(fullPath);
-          }
-        }
+  for (const root of candidates) {
+    probes.push(probeRoot(root, addFound));
+  }
+
+  return { found, probes };
+}
+
+/**
+ * Scans one extensions root, passing each installation to `addFound` (which
+ * returns false for duplicates). Returns the root's probe entry.
+ */
+function probeRoot(root, addFound) {
+  if (!fs.existsSync(root)) {
+    return { path: root, status: "skipped", reason: "does not exist" };
+  }
+  try {
+    let count = 0;
+    const entries = fs.readdirSync(root);
+    for (const entry of entries) {
+      if (entry.startsWith(INSTALLATION_PREFIX)) {
+        const fullPath = path.join(root, entry);
+        // statSync follows symlinked installations
+        if (fs.statSync(fullPath).isDirectory() && addFound(fullPath)) count++;
       }
-    } catch {
-      // Permission denied or other error, skip
     }
+
+    // The registry may point outside the root, e.g. a symlinked dev install
+    const { active } = readRootRegistry(root);
+    let registered = "";
+    if (active && fs.existsSync(active) && fs.statSync(active).isDirectory()) {
+      if (addFound(active)) count++;
+      registered = `, ${path.basename(active)} registered in extensions.json`;
+    }
+
+    return count > 0
+      ? { path: root, status: "found", reason: `${count} installation(s)${registered}` }
+      : { path: root, status: "empty", reason: "no anthropic.claude-code-* directory" };
+  } catch (err) {
+    // Permission denied or other error, skip
+    return { path: root, status: "skipped", reason: err.code || err.message };
+  }
+}
+
+/**
+ * Finds the Claude Code extension directories across platforms and VS Code variants.
+ * Returns an empty array if none is found.
+ *
+ * Options:
+ *   home — home directory to search instead of the current user's
+ */
+function findExtensionDirs(options = {}) {
+  return probeExtensionDirs(options.home).found;
+}
+
+function realPath(target) {
+  try {
+    return fs.realpathSync(target);
+  } catch {
+    return path.resolve(target);
+  }
+}
+
+// Editor flavours, guessed from an installation's path. First match wins.
+const EDITOR_PATTERNS = [
+  ["wsl", /^\/mnt\/[a-z]\/Users\//i],
+  ["insiders", /\/\.vscode-insiders\/|\/Code - Insiders\//i],
+  ["cursor", /\/\.cursor\/|\/Cursor\//i],
+  ["vscodium", /\/\.vscode-oss\/|\/VSCodium\//i],
+  ["windsurf", /\/\.windsurf\/|\/Windsurf\//i],
+  ["positron", /\/\.positron\/|\/Positron\//i],
+  ["code-server", /\/code-server\//i],
+  ["server", /\/\.vscode-(server|remote)\//i],
+  ["code", /\/\.vscode\/|\/Code\/|\/Microsoft VS Code\//i],
+];
+
+// Editor flavours accepted by `--editor`
+const EDITORS = EDITOR_PATTERNS.map(([name]) => name);
+
+/**
+ * Returns the editor flavour an extension directory belongs to (one of
+ * EDITORS, e.g. "code", "cursor", "vscodium"), or "unknown".
+ */
+function detectEditor(extDir) {
+  const normalized = extDir.replace(/\\/g, "/");
+  const match = EDITOR_PATTERNS.find(([, pattern]) => pattern.test(normalized));
+  return match ? match[0] : "unknown";
+}
+
+/**
+ * Returns the Claude Code version of an installation: the one encoded in its
+ * directory name, or for a differently named folder (a registered dev
+ * install) the version from its package.json.
+ */
+function getInstallationVersion(extDir) {
+  const name = path.basename(extDir);
+  if (name.startsWith(INSTALLATION_PREFIX)) return name.slice(INSTALLATION_PREFIX.length);
+  try {
+    return JSON.parse(fs.readFileSync(path.join(extDir, "package.json"), "utf8")).version || name;
+  } catch {
+    return name;
+  }
+}
+
+/**
+ * Reads which Claude Code installation an extensions root has registered,
+ * and which folders it marks as obsolete.
+ *
+ * VS Code lists installed extensions in `extensions.json` and the folders it
+ * will delete on next start in `.obsolete`. Either may be missing (older
+ * versions, other editors); missing data yields null / an empty set.
+ * `active` is an absolute path, which may lie outside the root for
+ * symlinked or development installs.
+ */
+function readRootRegistry(root) {
+  let active = null;
+  try {
+    const entries = JSON.parse(fs.readFileSync(path.join(root, "extensions.json"), "utf8"));
+    const entry = entries.find(
+      (e) => e.identifier && String(e.identifier.id).toLowerCase() === "anthropic.claude-code"
+    );
+    if (entry) active = resolveRegistryLocation(root, entry);
+  } catch {
+    // No registry
+  }
+
+  let obsolete = new Set();
+  try {
+    obsolete = new Set(Object.keys(JSON.parse(fs.readFileSync(path.join(root, ".obsolete"), "utf8"))));
+  } catch {
+    // Nothing pending deletion
   }
 
-  return found;
+  return { active, obsolete };
+}
+
+/**
+ * Turns an extensions.json entry's location into a local path. Entries have
+ * a `relativeLocation` inside the root, a `location` URI object, or (older
+ * versions) a plain path string.
+ */
+function resolveRegistryLocation(root, entry) {
+  if (entry.relativeLocation) return path.join(root, entry.relativeLocation);
+  const location = entry.location;
+  if (!location) return null;
+  if (typeof location === "string") return location;
+  if (location.fsPath) return location.fsPath;
+  if (!location.path) return null;
+  // file URIs on Windows look like /c:/Users/...
+  return /^\/[a-z]:/i.test(location.path) ? location.path.slice(1) : location.path;
+}
+
+/**
+ * Picks the installation the editor actually loads from each extensions
+ * root: the one registered in extensions.json, otherwise the highest version
+ * not marked obsolete. A root whose registered install lives elsewhere
+ * contributes none. Returns the active directories in input order.
+ */
+function selectActiveInstallations(extDirs) {
+  const byRoot = new Map();
+  for (const extDir of extDirs) {
+    const root = path.dirname(extDir);
+    if (!byRoot.has(root)) byRoot.set(root, []);
+    byRoot.get(root).push(extDir);
+  }
+
+  const active = new Set();
+  for (const [root, dirs] of byRoot) {
+    const registry = readRootRegistry(root);
+    if (registry.active) {
+      const registered = dirs.find((dir) => realPath(dir) === realPath(registry.active));
+      if (registered) {
+        active.add(registered);
+        continue;
+      }
+      // Registered somewhere else (a dev install) — that one is active instead
+      if (fs.existsSync(registry.active)) continue;
+    }
+    const live = dirs.filter((dir) => !registry.obsolete.has(path.basename(dir)));
+    const pool = live.length > 0 ? live : dirs;
+    active.add(
+      pool.reduce((best, dir) =>
+        compareVersions(getInstallationVersion(dir), getInstallationVersion(best)) > 0 ? dir : best
+      )
+    );
+  }
+
+  return extDirs.filter((dir) => active.has(dir));
 }
 
 /**
@@ -118,30 +404,32 @@ function extractHashSuffix(cssContent) {
   return null;
 }
 
+// CSS module class names we look for; classSelector falls back to
+// `[class*="name_"]` for any that are not found
+const CLASS_PATTERNS = [
+  "message",
+  "messagesContainer",
+  "chatContainer",
+  "userMessageContainer",
+  "userMessage",
+  "timelineMessage",
+  "emptyStateContent",
+  "emptyStateText",
+  "highlightedMessage",
+  "slashCommandMessage",
+  "slashCommandResultMessage",
+  "interruptedMessage",
+  "metaMessage",
+  "progressContent",
+];
+
 /**
  * Extracts all unique hash suffixes from the CSS to handle multiple CSS module files.
  * Returns a map of semantic name -> hash suffix.
  */
 function extractClassMap(cssContent) {
   const classMap = {};
-  const patterns = [
-    "message",
-    "messagesContainer",
-    "chatContainer",
-    "userMessageContainer",
-    "userMessage",
-    "timelineMessage",
-    "emptyStateContent",
-    "emptyStateText",
-    "highlightedMessage",
-    "slashCommandMessage",
-    "slashCommandResultMessage",
-    "interruptedMessage",
-    "metaMessage",
-    "progressContent",
-  ];
-
-  for (const name of patterns) {
+  for (const name of CLASS_PATTERNS) {
     // Match .className_hashSuffix with either { or , or . or : following
     const regex = new RegExp(
       `\\.${name}_([A-Za-z0-9]+)(?=[\\s{.,:\\[>~+])`,
@@ -156,13 +444,32 @@ function extractClassMap(cssContent) {
   return classMap;
 }
 
+/**
+ * Returns the exact `.name_hash` selector for a discovered class, or an
+ * attribute selector matching any hash when the class was not found.
+ */
+function classSelector(classMap, name) {
+  return classMap[name] ? `.${name}_${classMap[name]}` : `[class*="${name}_"]`;
+}
+
 /**
  * Generates the RTL CSS fix rules.
  * Uses Unicode Bidi algorithm for automatic direction detection.
+ *
+ * `config` is a (partial) user config — see src/config.js. Rule groups that
+ * are switched off are omitted; extra selectors and custom CSS are merged
+ * into the marked block.
+ *
+ * `components` is the classification of the stylesheet's classes (see
+ * src/classify.js); text and code components not in CLASS_PATTERNS get the
+ * auto-direction and LTR rules.
  */
-function generateRtlCss(classMap) {
+function generateRtlCss(classMap, config = {}, components = []) {
+  const { direction, layout, patchScript, rules, extraSelectors, customCss, spacing, typography } =
+    resolveConfig(config);
+  const forced = direction !== "auto";
+  const mirror = layout === "mirror";
   const lines = [
-    PATCH_START,
     "",
     "/*",
     " * RTL (Right-to-Left) text support for Claude Code",
@@ -176,33 +483,28 @@ function generateRtlCss(classMap) {
   // Core: auto-direction on message text containers
   // unicode-bidi: plaintext makes each block-level element determine its own
   // direction from its content's first strong directional character.
-  const messageClass = classMap.message
-    ? `.message_${classMap.message}`
-    : '[class*="message_"]';
-  const userMsgClass = classMap.userMessage
-    ? `.userMessage_${classMap.userMessage}`
-    : '[class*="userMessage_"]';
-  const userMsgContainerClass = classMap.userMessageContainer
-    ? `.userMessageContainer_${classMap.userMessageContainer}`
-    : '[class*="userMessageContainer_"]';
-  const timelineClass = classMap.timelineMessage
-    ? `.timelineMessage_${classMap.timelineMessage}`
-    : '[class*="timelineMessage_"]';
-  const slashCmdClass = classMap.slashCommandMessage
-    ? `.slashCommandMessage_${classMap.slashCommandMessage}`
-    : '[class*="slashCommandMessage_"]';
-  const slashCmdResultClass = classMap.slashCommandResultMessage
-    ? `.slashCommandResultMessage_${classMap.slashCommandResultMessage}`
-    : '[class*="slashCommandResultMessage_"]';
-  const interruptedClass = classMap.interruptedMessage
-    ? `.interruptedMessage_${classMap.interruptedMessage}`
-    : '[class*="interruptedMessage_"]';
-  const progressClass = classMap.progressContent
-    ? `.progressContent_${classMap.progressContent}`
-    : '[class*="progressContent_"]';
+  const messageClass = classSelector(classMap, "message");
+  const userMsgClass = classSelector(classMap, "userMessage");
+  const userMsgContainerClass = classSelector(classMap, "userMessageContainer");
+  const timelineClass = classSelector(classMap, "timelineMessage");
+  const slashCmdClass = classSelector(classMap, "slashCommandMessage");
+  const slashCmdResultClass = classSelector(classMap, "slashCommandResultMessage");
+  const interruptedClass = classSelector(classMap, "interruptedMessage");
+  const progressClass = classSelector(classMap, "progressContent");
+
+  // Auto mode lets each paragraph pick its direction from its first strong
+  // character; forced mode sets the same direction on every container.
+  const containerDecls = forced
+    ? [`  direction: ${direction};`, "  unicode-bidi: isolate;", "  text-align: start;"]
+    : ["  unicode-bidi: plaintext;", "  text-align: start;"];
+  const textDecls = forced
+    ? [`  direction: ${direction};`, "  unicode-bidi: normal;", "  text-align: start;"]
+    : ["  unicode-bidi: plaintext;", "  text-align: start;"];
 
   lines.push(
-    "/* Auto-detect text direction on all message text content */",
+    forced
+      ? `/* Force ${direction.toUpperCase()} direction on all message text content */`
+      : "/* Auto-detect text direction on all message text content */",
     `${messageClass},`,
     `${userMsgClass},`,
     `${userMsgContainerClass},`,
@@ -211,9 +513,9 @@ function generateRtlCss(classMap) {
     `${slashCmdResultClass},`,
     `${interruptedClass},`,
     `${progressClass},`,
+    ...extraSelectors.map((selector) => `${selector},`),
     `[data-testid="assistant-message"] {`,
-    "  unicode-bidi: plaintext;",
-    "  text-align: start;",
+    ...containerDecls,
     "}",
     "",
 
@@ -223,7 +525,7 @@ function generateRtlCss(classMap) {
     "}",
     "",
 
-    "/* Ensure paragraphs and inline text respect auto-direction */",
+    `/* Ensure paragraphs and inline text respect ${forced ? "the forced direction" : "auto-direction"} */`,
     `${messageClass} p,`,
     `${messageClass} li,`,
     `${messageClass} span,`,
@@ -232,68 +534,476 @@ function generateRtlCss(classMap) {
     `[data-testid="assistant-message"] li,`,
     `[data-testid="assistant-message"] span,`,
     `[data-testid="assistant-message"] div {`,
-    "  unicode-bidi: plaintext;",
-    "  text-align: start;",
+    ...textDecls,
     "}",
-    "",
+    ""
+  );
+
+  if (mirror) {
+    const codeComponents = components
+      .filter((c) => c.kind === "code")
+      .map((c) => `.${c.name}_${c.hash}`);
+    lines.push(...generateMirrorCss(classMap, codeComponents));
+  }
+
+  const discovered = (kind) =>
+    components
+      .filter((c) => c.kind === kind && !CLASS_PATTERNS.includes(c.name))
+      .map((c) => `.${c.name}_${c.hash}`);
+  const textComponents = rules.components ? discovered("text") : [];
+
+  // A forced direction or mirrored layout would otherwise flip code too, so
+  // code stays LTR then even if the codeLtr group is switched off. Text
+  // components get the message rules, so code inside them is covered too.
+  if (rules.codeLtr || forced || mirror) {
+    const codeScopes = [messageClass, '[data-testid="assistant-message"]', ...textComponents];
+    const within = (...elements) =>
+      codeScopes.flatMap((scope) => elements.map((element) => `${scope} ${element}`)).join(",\n");
+    lines.push(
+      "/* Preserve code blocks as LTR (code is always LTR) */",
+      `${within("pre", "pre code")} {`,
+      "  unicode-bidi: normal;",
+      "  direction: ltr;",
+      "  text-align: left;",
+      "}",
+      "",
+      // Isolated, inline code is laid out LTR inside but placed in the
+      // surrounding RTL sentence as a single neutral unit, so punctuation
+      // next to it stays where it was typed.
+      "/* Isolate inline code inside the surrounding paragraph */",
+      `${within(":not(pre) > code")} {`,
+      "  unicode-bidi: isolate;",
+      "  direction: ltr;",
+      "}",
+      ""
+    );
+  }
+
+  if (rules.markdown) {
+    const directed = hasDirectedBlocks(config);
+    lines.push(...generateMarkdownCss(messageClass, textDecls, spacing, directed));
+  }
+
+  if (patchScript) {
+    lines.push(...generateMessageOverrideCss(messageClass));
+  }
+
+  if (rules.components) {
+    const codeComponents = rules.codeLtr || forced || mirror ? discovered("code") : [];
+    if (textComponents.length > 0) {
+      // No text-align: the classification is a guess, and titles or hints
+      // it matches may be centered on purpose
+      lines.push(
+        "/* Auto-detected text components */",
+        `${textComponents.join(",\n")} {`,
+        ...containerDecls.filter((decl) => !decl.includes("text-align")),
+        "}",
+        ""
+      );
+    }
+    if (codeComponents.length > 0) {
+      lines.push(
+        "/* Auto-detected code components stay LTR */",
+        `${codeComponents.join(",\n")} {`,
+        "  unicode-bidi: isolate;",
+        "  direction: ltr;",
+        "  text-align: left;",
+        "}",
+        ""
+      );
+    }
+  }
+
+  // The rail has to move along with a mirrored layout
+  if (rules.timeline || mirror) {
+    lines.push(
+      "/* Timeline dot position: use logical properties so dot stays correct in RTL */",
+      `${timelineClass} {`,
+      `  padding-inline-start: ${spacing.timelinePadding};`,
+      "  padding-left: unset;",
+      "}",
+      "",
+      `${timelineClass}::before {`,
+      `  inset-inline-start: ${spacing.timelineBeforeOffset};`,
+      "  left: unset;",
+      "}",
+      "",
+      `${timelineClass}::after {`,
+      `  inset-inline-start: ${spacing.timelineAfterOffset};`,
+      "  left: unset;",
+      "}",
+      ""
+    );
+  }
+
+  if (rules.inputArea) {
+    lines.push(
+      "/* Input area RTL support */",
+      '[class*="inputContainer_"] textarea,',
+      '[class*="inputContainer_"] [contenteditable] {',
+      ...textDecls,
+      "}",
+      ""
+    );
+
+    // The webview script sets the direction chosen with Ctrl+Shift+X as a
+    // dir attribute; plaintext would otherwise keep detecting it
+    if (patchScript) {
+      for (const dir of ["rtl", "ltr"]) {
+        lines.push(
+          `/* Prompt input direction toggled to ${dir.toUpperCase()} */`,
+          `[class*="inputContainer_"] textarea[dir="${dir}"],`,
+          `[class*="inputContainer_"] [contenteditable][dir="${dir}"] {`,
+          `  direction: ${dir};`,
+          "  unicode-bidi: isolate;",
+          "  text-align: start;",
+          "}",
+          ""
+        );
+      }
+    }
+  }
+
+  if (rules.typography) {
+    const messages = [
+      messageClass,
+      userMsgClass,
+      timelineClass,
+      ...extraSelectors,
+      '[data-testid="assistant-message"]',
+    ];
+    const inputs = rules.inputArea
+      ? ['[class*="inputContainer_"] textarea', '[class*="inputContainer_"] [contenteditable]']
+      : [];
+    lines.push(...generateTypographyCss(messages, inputs, direction, typography, patchScript));
+  }
+
+  if (customCss.length > 0) {
+    lines.push("/* Custom CSS from user config */", ...customCss, "");
+  }
+
+  return wrapPatchBlock(lines.join("\n"));
+}
+
+/**
+ * Generates the mirror layout: `direction: rtl` on the chat chrome, so flex
+ * rows, the timeline rail (through its logical properties) and the scrollbar
+ * move to the right-to-left side, and direction-bound icons are flipped.
+ * Message text keeps its own direction rules. Code, diffs, terminal output
+ * and the code components found by src/classify.js are set back to LTR.
+ */
+function generateMirrorCss(classMap, codeComponents) {
+  const chrome = [
+    classSelector(classMap, "chatContainer"),
+    classSelector(classMap, "messagesContainer"),
+    classSelector(classMap, "emptyStateContent"),
+    '[class*="inputContainer_"]',
+  ];
+  const scope = `:is(${chrome.join(", ")})`;
+  const ltr = [
+    "pre",
+    '[class*="diff" i]',
+    '[class*="terminal" i]',
+    ...codeComponents,
+  ];
 
-    "/* Preserve code blocks as LTR (code is always LTR) */",
-    `${messageClass} pre,`,
-    `${messageClass} code,`,
-    `[data-testid="assistant-message"] pre,`,
-    `[data-testid="assistant-message"] code {`,
-    "  unicode-bidi: normal;",
+  return [
+    "/* Mirror layout: lay out the chat UI right-to-left */",
+    `${chrome.join(",\n")} {`,
+    "  direction: rtl;",
+    "}",
+    "",
+    "/* Mirror layout: flip direction-bound icons (scale keeps their own rotation) */",
+    `${scope} :is([class*="chevron" i], [class*="arrow" i], .codicon-chevron-right, .codicon-chevron-left) {`,
+    "  scale: -1 1;",
+    "}",
+    "",
+    "/* Mirror layout: code, diffs and terminal output stay LTR */",
+    `${ltr.map((selector) => `${scope} ${selector}`).join(",\n")} {`,
     "  direction: ltr;",
     "  text-align: left;",
     "}",
     "",
+  ];
+}
 
-    "/* Timeline dot position: use logical properties so dot stays correct in RTL */",
-    `${timelineClass} {`,
-    "  padding-inline-start: 30px;",
+/**
+ * Generates the rules for the per-message direction control of the webview
+ * script: a message whose MESSAGE_DIR_ATTR is set takes that direction (or
+ * goes back to auto-detection), whatever the configured direction is. The
+ * attribute selector outranks the regular message rules. Elements inside
+ * `pre` and `code` are excluded, so code keeps its own LTR rule.
+ */
+function generateMessageOverrideCss(messageClass) {
+  const scopes = [messageClass, '[data-testid="assistant-message"]'];
+  const text = ":is(p, li, span, div, h1, h2, h3, h4, h5, h6, blockquote, th, td):not(pre *, code *)";
+  const lines = [];
+
+  for (const dir of ["auto", "rtl", "ltr"]) {
+    const own = scopes.map((scope) => `${scope}[${MESSAGE_DIR_ATTR}="${dir}"]`);
+    const direction = dir === "auto" ? [] : [`  direction: ${dir};`];
+    lines.push(
+      `/* Message direction set to ${dir === "auto" ? "auto" : dir.toUpperCase()} with its hover control */`,
+      `${own.join(",\n")} {`,
+      ...direction,
+      `  unicode-bidi: ${dir === "auto" ? "plaintext" : "isolate"};`,
+      "  text-align: start;",
+      "}",
+      "",
+      `${own.map((selector) => `${selector} ${text}`).join(",\n")} {`,
+      ...direction,
+      `  unicode-bidi: ${dir === "auto" ? "plaintext" : "normal"};`,
+      "  text-align: start;",
+      "}",
+      ""
+    );
+  }
+  return lines;
+}
+
+/**
+ * Tells whether markdown blocks in messages have a CSS direction of their
+ * own, which the logical properties of the markdown layout resolve against.
+ * Plaintext never sets one: it comes from a forced direction, the mirrored
+ * chrome or the dir="auto" attributes of the webview script.
+ */
+function hasDirectedBlocks(config = {}) {
+  const { direction, layout, patchScript } = resolveConfig(config);
+  return direction !== "auto" || layout === "mirror" || patchScript;
+}
+
+/**
+ * Generates the markdown rule group: lists, blockquotes, tables, headings,
+ * horizontal rules and task-list checkboxes inside messages, laid out with
+ * logical properties so they follow the direction of their content.
+ *
+ * Logical properties resolve against the CSS `direction` of the container,
+ * not against the direction plaintext detects for its text. Unless
+ * `directed` says the containers have a direction of their own, only the
+ * text alignment rule is generated and the layout is left as it was.
+ *
+ * Physical properties are reset before the logical ones are set — when both
+ * map to the same side, the later declaration wins.
+ */
+function generateMarkdownCss(messageClass, textDecls, spacing, directed) {
+  const scopes = [messageClass, '[data-testid="assistant-message"]'];
+  const within = (...elements) =>
+    scopes.flatMap((scope) => elements.map((element) => `${scope} ${element}`)).join(",\n");
+
+  const lines = [
+    "/* Markdown: headings, blockquotes and table cells follow their content */",
+    `${within("h1", "h2", "h3", "h4", "h5", "h6", "blockquote", "th", "td")} {`,
+    ...textDecls,
+    "}",
+    "",
+  ];
+  if (!directed) return lines;
+
+  return [
+    ...lines,
+    "/* Markdown: list indentation on the start side */",
+    `${within("ul", "ol")} {`,
     "  padding-left: unset;",
+    "  padding-right: unset;",
+    `  padding-inline-start: ${spacing.listIndent};`,
     "}",
     "",
-    `${timelineClass}::before {`,
-    "  inset-inline-start: 9px;",
-    "  left: unset;",
+    "/* Markdown: blockquote border on the start side */",
+    `${within("blockquote")} {`,
+    "  border-left: unset;",
+    "  border-right: unset;",
+    "  padding-left: unset;",
+    "  padding-right: unset;",
+    "  margin-left: unset;",
+    "  margin-right: unset;",
+    "  border-inline-start: 3px solid var(--vscode-textBlockQuote-border, currentColor);",
+    `  padding-inline-start: ${spacing.blockquoteIndent};`,
     "}",
     "",
-    `${timelineClass}::after {`,
-    "  inset-inline-start: 12px;",
-    "  left: unset;",
+    "/* Markdown: tables start on the start side */",
+    `${within("table")} {`,
+    "  margin-left: unset;",
+    "  margin-right: unset;",
+    "  margin-inline-end: auto;",
     "}",
     "",
-
-    "/* Input area RTL support */",
-    '[class*="inputContainer_"] textarea,',
-    '[class*="inputContainer_"] [contenteditable] {',
-    "  unicode-bidi: plaintext;",
-    "  text-align: start;",
+    "/* Markdown: horizontal rules span the full width */",
+    `${within("hr")} {`,
+    "  margin-left: unset;",
+    "  margin-right: unset;",
+    "  margin-inline: 0;",
+    "}",
+    "",
+    "/* Markdown: task-list checkboxes sit before the text */",
+    `${within('li > input[type="checkbox"]')} {`,
+    "  margin-left: unset;",
+    "  margin-right: unset;",
+    "  margin-inline: 0 0.5em;",
+    "}",
+    "",
+    `${within('li:has(> input[type="checkbox"])')} {`,
+    "  list-style: none;",
     "}",
     "",
+  ];
+}
+
+// Unicode ranges of the scripts with their own font stack. Arabic and
+// Persian share theirs; ZWNJ/ZWJ are included so joining stays in one font.
+const SCRIPT_RANGES = {
+  hebrew: "U+0590-05FF, U+FB1D-FB4F",
+  arabic: "U+0600-06FF, U+0750-077F, U+0870-08FF, U+200C-200D, U+FB50-FDFF, U+FE70-FEFF",
+};
+SCRIPT_RANGES.persian = SCRIPT_RANGES.arabic;
+
+// Persian before Arabic: a Persian font, if installed, wins for Arabic script
+const FONT_FACE_ORDER = ["persian", "arabic", "hebrew"];
+
+/**
+ * Generates the typography rule group: a `@font-face` per script that maps
+ * only that script's Unicode range to the configured local fonts (so Latin
+ * text keeps the editor font), plus line-height and `letter-spacing: normal`
+ * for RTL text — letter-spacing breaks the joining of Arabic letters.
+ *
+ * `messages` are the message containers, `inputs` the prompt input elements.
+ * A forced "rtl" direction adjusts every container. In auto mode RTL text is
+ * found with `:dir(rtl)`, which only matches through the `dir="auto"`
+ * attributes of the webview script, so the rule is only generated with
+ * `patchScript`; the font faces work either way.
+ */
+function generateTypographyCss(messages, inputs, direction, typography, patchScript) {
+  const containers = [...messages, ...inputs];
+  const lines = ["/* Script-aware typography for Hebrew, Arabic and Persian */"];
+  const families = [];
+
+  for (const script of FONT_FACE_ORDER) {
+    const fonts = typography.fonts[script];
+    if (fonts.length === 0) continue;
+    const family = `RTL Fix ${script[0].toUpperCase()}${script.slice(1)}`;
+    families.push(`"${family}"`);
+    for (const [weight, styles] of [[400, ["", " Regular"]], [700, [" Bold"]]]) {
+      lines.push(
+        "@font-face {",
+        `  font-family: "${family}";`,
+        `  src: ${fonts.flatMap((font) => styles.map((style) => `local("${font}${style}")`)).join(", ")};`,
+        `  font-weight: ${weight};`,
+        `  unicode-range: ${SCRIPT_RANGES[script]};`,
+        "}",
+        ""
+      );
+    }
+  }
+
+  if (families.length > 0) {
+    lines.push(
+      `${containers.join(",\n")} {`,
+      `  font-family: ${families.join(", ")}, var(--vscode-font-family), sans-serif;`,
+      "}",
+      ""
+    );
+  }
+
+  // No RTL text to adjust when LTR is forced, none to find in auto mode
+  // without dir attributes
+  if (direction === "rtl" || (direction === "auto" && patchScript)) {
+    const rtlText =
+      direction === "rtl"
+        ? containers
+        : [
+            ...messages.flatMap((c) => [`${c}:dir(rtl)`, `${c} :dir(rtl):not(pre, code)`]),
+            ...inputs.map((c) => `${c}:dir(rtl)`),
+          ];
+    lines.push(
+      `${rtlText.join(",\n")} {`,
+      `  line-height: ${typography.lineHeight};`,
+      "  letter-spacing: normal;",
+      "}",
+      ""
+    );
+  }
+
+  return lines;
+}
+
+/**
+ * Wraps generated CSS or JS in the patch markers, with a META line recording
+ * PATCH_VERSION and the SHA-256 of `body`.
+ */
+function wrapPatchBlock(body) {
+  const meta = `${PATCH_META_PREFIX} version=${PATCH_VERSION} sha256=${sha256(body)} */`;
+  return [PATCH_START, meta, body, PATCH_END].join("\n");
+}
+
+/**
+ * Reads the META line of the patch block in `content`.
+ *
+ * Returns { version, sha256, intact } — `intact` is false if the block body
+ * no longer matches its recorded hash (edited by hand). Returns null if there
+ * is no block, or it predates the META line.
+ */
+function readPatchMeta(content) {
+  const startIdx = content.indexOf(PATCH_START);
+  const endIdx = content.indexOf(PATCH_END);
+  if (startIdx === -1 || endIdx < startIdx) return null;
+
+  const inner = content.substring(startIdx + PATCH_START.length, endIdx);
+  const match = inner.match(/^\n(\/\* CLAUDE-CODE-RTL-FIX:META ([^\n]*) \*\/)\n/);
+  if (!match) return null;
 
-    PATCH_END
+  const fields = Object.fromEntries(
+    match[2].split(/\s+/).map((pair) => pair.split("="))
   );
+  const version = Number(fields.version);
+  if (!Number.isInteger(version) || !fields.sha256) return null;
 
-  return lines.join("\n");
+  const body = inner.slice(match[0].length).replace(/\n$/, "");
+  return { version, sha256: fields.sha256, intact: sha256(body) === fields.sha256 };
+}
+
+/**
+ * Writes the patched content of a file, refreshes its backup and records the
+ * patch in the installation's manifest.
+ *
+ * The backup is rewritten whenever it no longer matches the unpatched
+ * content — Claude Code may have updated the file in place since the last
+ * run, and an old backup would bring back outdated upstream CSS on revert.
+ */
+function writePatchedFile(filePath, original, patched) {
+  const backupPath = filePath + BACKUP_SUFFIX;
+  if (!fs.existsSync(backupPath) || fs.readFileSync(backupPath, "utf8") !== original) {
+    fs.writeFileSync(backupPath, original);
+  }
+
+  fs.writeFileSync(filePath, patched);
+
+  const restorePoint = recordPatch(filePath, {
+    original,
+    patched,
+    patchVersion: PATCH_VERSION,
+  });
+
+  return { backupPath, restorePoint };
 }
 
 /**
  * Applies the RTL patch to a CSS file.
+ *
+ * Options:
+ *   config — (partial) user config passed to generateRtlCss
+ *   dryRun — compute the change and return it as a unified diff (`diff`)
+ *            without writing anything to disk
  */
-function applyPatch(cssFilePath) {
+function applyPatch(cssFilePath, options = {}) {
   if (!fs.existsSync(cssFilePath)) {
     return { success: false, error: `CSS file not found: ${cssFilePath}` };
   }
 
-  let cssContent = fs.readFileSync(cssFilePath, "utf8");
+  const dryRun = Boolean(options.dryRun);
+  const migrated = migrateLegacyFormat(cssFilePath, { dryRun });
+  const currentContent = fs.readFileSync(cssFilePath, "utf8");
 
-  // Check if already patched
-  if (cssContent.includes(PATCH_START)) {
-    // Remove existing patch before re-applying (upgrade scenario)
-    cssContent = removePatchContent(cssContent);
-  }
+  // Remove any existing patch before re-applying (upgrade scenario)
+  const cssContent = removePatchContent(currentContent);
 
   // Extract class name mapping
   const classMap = extractClassMap(cssContent);
@@ -306,151 +1016,422 @@ function applyPatch(cssFilePath) {
   }
 
   // Generate and append the RTL CSS
-  const rtlCss = generateRtlCss(classMap);
+  const components = classifyClasses(cssContent);
+  const rtlCss = generateRtlCss(classMap, options.config, components);
   const patchedContent = cssContent + "\n" + rtlCss;
 
-  // Backup original
-  const backupPath = cssFilePath + ".rtl-backup";
-  if (!fs.existsSync(backupPath)) {
-    fs.writeFileSync(backupPath, cssContent);
+  if (dryRun) {
+    return {
+      success: true,
+      dryRun: true,
+      classMap,
+      diff: diffFile(cssFilePath, currentContent, patchedContent),
+      migrated,
+    };
   }
 
-  // Write patched CSS
-  fs.writeFileSync(cssFilePath, patchedContent);
+  // Backup original, write patched CSS and record a restore point
+  const { backupPath, restorePoint } = writePatchedFile(cssFilePath, cssContent, patchedContent);
 
   return {
     success: true,
     classMap,
     backupPath,
+    restorePoint,
+    migrated,
   };
 }
 
+/**
+ * Returns the webview JS bundle that sits next to the given index.css.
+ */
+function getScriptPath(cssFilePath) {
+  return path.join(path.dirname(cssFilePath), "index.js");
+}
+
+/**
+ * Generates the marked script block that adds dir attributes in the webview.
+ */
+function generateRtlJs(classMap, config = {}) {
+  const { direction, extraSelectors } = resolveConfig(config);
+  const message = classSelector(classMap, "message");
+  const assistant = '[data-testid="assistant-message"]';
+
+  const messages = [
+    message,
+    classSelector(classMap, "userMessage"),
+    classSelector(classMap, "timelineMessage"),
+    classSelector(classMap, "slashCommandMessage"),
+    classSelector(classMap, "slashCommandResultMessage"),
+    classSelector(classMap, "interruptedMessage"),
+    classSelector(classMap, "progressContent"),
+    ...extraSelectors,
+    assistant,
+  ];
+  const blocks = [message, assistant].flatMap((scope) =>
+    ["ul", "ol", "li", "blockquote", "table"].map((tag) => `${scope} ${tag}`)
+  );
+  const inputs = [
+    '[class*="inputContainer_"] textarea',
+    '[class*="inputContainer_"] [contenteditable]',
+  ];
+
+  const toggles = [message, assistant];
+
+  return wrapPatchBlock(generateRtlScript({ messages, blocks, inputs, toggles }, direction));
+}
+
+/**
+ * Applies the optional dir-attribute patch to the webview JS bundle.
+ * Uses the same markers and backup/revert rules as the CSS patch, so
+ * revertPatch and checkPatch work on the bundle too.
+ *
+ * Options:
+ *   config   — (partial) user config
+ *   classMap — class names discovered in index.css; attribute selectors are
+ *              used for any that are missing
+ *   dryRun   — return the change as a unified diff without writing it
+ */
+function applyScriptPatch(jsFilePath, options = {}) {
+  if (!fs.existsSync(jsFilePath)) {
+    return { success: false, error: `Webview script not found: ${jsFilePath}` };
+  }
+
+  const dryRun = Boolean(options.dryRun);
+  const migrated = migrateLegacyFormat(jsFilePath, { dryRun });
+  const currentContent = fs.readFileSync(jsFilePath, "utf8");
+  const jsContent = removePatchContent(currentContent);
+  const rtlJs = generateRtlJs(options.classMap || {}, options.config);
+
+  if (dryRun) {
+    const diff = diffFile(jsFilePath, currentContent, jsContent + "\n" + rtlJs);
+    return { success: true, dryRun: true, diff, migrated };
+  }
+
+  const { backupPath, restorePoint } = writePatchedFile(
+    jsFilePath,
+    jsContent,
+    jsContent + "\n" + rtlJs
+  );
+
+  return { success: true, backupPath, restorePoint, migrated };
+}
+
+/**
+ * Locates a block written with the legacy single-marker format.
+ * Returns the block and inner content offsets, or null if there is none.
+ */
+function findLegacyBlock(content) {
+  const start = content.indexOf(LEGACY_MARKER);
+  if (start === -1) return null;
+  const innerStart = start + LEGACY_MARKER.length;
+  const closing = content.indexOf(LEGACY_MARKER, innerStart);
+  // A missing closing marker means the block runs to the end of the file
+  const innerEnd = closing === -1 ? content.length : closing;
+  const end = closing === -1 ? content.length : closing + LEGACY_MARKER.length;
+  return { start, innerStart, innerEnd, end };
+}
+
 /**
  * Removes the RTL patch from CSS content.
+ * Handles both the current START/END markers and the legacy format.
  */
 function removePatchContent(cssContent) {
-  const startIdx = cssContent.indexOf(PATCH_START);
-  const endIdx = cssContent.indexOf(PATCH_END);
-  if (startIdx === -1 || endIdx === -1) return cssContent;
-  // Remove from the newline before PATCH_START to the end of PATCH_END
-  const beforePatch = cssContent.substring(0, startIdx).replace(/\n+$/, "");
-  const afterPatch = cssContent.substring(endIdx + PATCH_END.length);
-  return beforePatch + afterPatch;
+  let content = cssContent;
+
+  const startIdx = content.indexOf(PATCH_START);
+  const endIdx = content.indexOf(PATCH_END);
+  if (startIdx !== -1 && endIdx !== -1) {
+    // Remove from the newline before PATCH_START to the end of PATCH_END
+    const beforePatch = content.substring(0, startIdx).replace(/\n$/, "");
+    const afterPatch = content.substring(endIdx + PATCH_END.length);
+    content = beforePatch + afterPatch;
+  }
+
+  const legacy = findLegacyBlock(content);
+  if (legacy) {
+    content =
+      content.substring(0, legacy.start).replace(/\n$/, "") + content.substring(legacy.end);
+  }
+
+  return content;
+}
+
+/**
+ * Migrates artifacts left by earlier releases to the current format:
+ * legacy backups are renamed to `.rtl-backup` (or dropped if a current backup
+ * already exists), and a legacy marker block is re-wrapped in the START/END
+ * markers with its content untouched.
+ *
+ * Returns a list of human-readable descriptions of what was changed — or,
+ * with `dryRun`, of what would be changed.
+ */
+function migrateLegacyFormat(filePath, { dryRun = false } = {}) {
+  const changes = [];
+  const backupPath = filePath + BACKUP_SUFFIX;
+
+  for (const suffix of LEGACY_BACKUP_SUFFIXES) {
+    const legacyBackup = filePath + suffix;
+    if (!fs.existsSync(legacyBackup)) continue;
+    if (fs.existsSync(backupPath)) {
+      if (!dryRun) fs.unlinkSync(legacyBackup);
+      changes.push(
+        `${dryRun ? "Would remove" : "Removed"} legacy backup ${legacyBackup} (superseded by ${backupPath})`
+      );
+    } else {
+      if (!dryRun) fs.renameSync(legacyBackup, backupPath);
+      changes.push(`${dryRun ? "Would rename" : "Renamed"} legacy backup ${legacyBackup} to ${backupPath}`);
+    }
+  }
+
+  if (fs.existsSync(filePath)) {
+    const content = fs.readFileSync(filePath, "utf8");
+    const legacy = findLegacyBlock(content);
+    if (legacy && !content.includes(PATCH_START)) {
+      const inner = content.substring(legacy.innerStart, legacy.innerEnd).trim();
+      if (!dryRun) {
+        fs.writeFileSync(
+          filePath,
+          content.substring(0, legacy.start) +
+            `${PATCH_START}\n${inner}\n${PATCH_END}` +
+            content.substring(legacy.end)
+        );
+      }
+      changes.push(`${dryRun ? "Would convert" : "Converted"} legacy patch markers in ${filePath}`);
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Returns the path of the file's backup — the current `.rtl-backup` or a
+ * not yet migrated legacy one — or null if there is none.
+ */
+function findBackupPath(filePath) {
+  const suffixes = [BACKUP_SUFFIX, ...LEGACY_BACKUP_SUFFIXES];
+  return suffixes.map((suffix) => filePath + suffix).find((p) => fs.existsSync(p)) || null;
+}
+
+/**
+ * Returns true if the content carries a patch in the current or legacy format.
+ */
+function hasPatch(content) {
+  return content.includes(PATCH_START) || content.includes(LEGACY_MARKER);
+}
+
+/**
+ * Unified diff of a file's current and proposed content, for dry runs.
+ */
+function diffFile(filePath, before, after) {
+  return createUnifiedDiff(before, after, {
+    oldLabel: filePath,
+    newLabel: filePath,
+    maxLineLength: DIFF_MAX_LINE_LENGTH,
+  });
 }
 
 /**
  * Reverts the RTL patch.
+ *
+ * Options:
+ *   dryRun — return the change as a unified diff (`diff`) without writing it
  */
-function revertPatch(cssFilePath) {
+function revertPatch(cssFilePath, options = {}) {
   if (!fs.existsSync(cssFilePath)) {
     return { success: false, error: `CSS file not found: ${cssFilePath}` };
   }
 
-  const backupPath = cssFilePath + ".rtl-backup";
+  const dryRun = Boolean(options.dryRun);
+  const migrated = migrateLegacyFormat(cssFilePath, { dryRun });
+  const backupPath = findBackupPath(cssFilePath);
+  const cssContent = fs.readFileSync(cssFilePath, "utf8");
+
+  // Only trust the backup if the file is still the one we patched
+  const known = verifyKnownContent(cssFilePath, cssContent);
 
-  if (fs.existsSync(backupPath)) {
+  let method;
+  let reverted;
+  if (backupPath && known.ok) {
     // Restore from backup
-    const original = fs.readFileSync(backupPath, "utf8");
-    fs.writeFileSync(cssFilePath, original);
-    fs.unlinkSync(backupPath);
-    return { success: true, method: "backup" };
+    method = "backup";
+    reverted = fs.readFileSync(backupPath, "utf8");
+  } else if (hasPatch(cssContent)) {
+    // No (usable) backup — strip the patch markers
+    method = "strip";
+    reverted = removePatchContent(cssContent);
+  } else if (!known.ok) {
+    return { success: false, error: `No patch found to revert; backup not restored: ${known.error}` };
+  } else {
+    return { success: false, error: "No patch found to revert" };
   }
 
-  // No backup — try to strip the patch markers
-  let cssContent = fs.readFileSync(cssFilePath, "utf8");
-  if (cssContent.includes(PATCH_START)) {
-    cssContent = removePatchContent(cssContent);
-    fs.writeFileSync(cssFilePath, cssContent);
-    return { success: true, method: "strip" };
+  if (dryRun) {
+    const diff = diffFile(cssFilePath, cssContent, reverted);
+    return { success: true, dryRun: true, method, diff, migrated };
   }
 
-  return { success: false, error: "No patch found to revert" };
+  fs.writeFileSync(cssFilePath, reverted);
+  if (method === "backup") fs.unlinkSync(backupPath);
+  return { success: true, method, migrated };
 }
 
 /**
- * Checks if the patch is currently applied.
+ * Restores the original content saved in restore point `id` of the
+ * installation that owns `filePath`. Refuses if the file has changed since
+ * it was last patched — see src/manifest.js.
  */
-function checkPatch(cssFilePath) {
-  if (!fs.existsSync(cssFilePath)) return false;
-  const content = fs.readFileSync(cssFilePath, "utf8");
-  return content.includes(PATCH_START);
+function restorePatch(filePath, id) {
+  const result = restorePoint(filePath, id);
+  if (result.success) {
+    // The file is unpatched now; its old backup no longer applies
+    fs.rmSync(result.file + BACKUP_SUFFIX, { force: true });
+  }
+  return result;
 }
 
-// --- CLI entry point ---
-function main() {
-  const args = process.argv.slice(2);
-  const isRevert = args.includes("--revert");
-  const isCheck = args.includes("--check");
-  const isQuiet = args.includes("--quiet");
+/**
+ * Describes the patch state of one installation, for `--check` and
+ * `--check --json`. Never throws — problems are reported in `error`.
+ *
+ * `state` is "current" (patched with this version's patch), "outdated"
+ * (patched by an older release) or "absent". Legacy patches are migrated
+ * on the way, like checkPatch does.
+ */
+function inspectInstallation(extDir) {
+  const cssPath = path.join(extDir, "webview", "index.css");
+  const info = {
+    path: extDir,
+    version: getInstallationVersion(extDir),
+    editor: detectEditor(extDir),
+    cssPath,
+    state: "absent",
+    patched: false,
+    patchVersion: null,
+    classMap: {},
+    backup: false,
+    script: false,
+    error: null,
+  };
 
-  const log = isQuiet ? () => {} : console.log;
+  try {
+    if (!fs.existsSync(cssPath)) {
+      info.error = `CSS file not found: ${cssPath}`;
+      return info;
+    }
 
-  const extDirs = findExtensionDirs();
-  if (extDirs.length === 0) {
-    console.error(
-      "Error: Claude Code extension not found. Make sure it is installed."
-    );
-    console.error("You can set CLAUDE_CODE_EXT_DIR to specify the path manually.");
-    process.exit(1);
-  }
+    migrateLegacyFormat(cssPath);
+    const content = fs.readFileSync(cssPath, "utf8");
+    info.classMap = extractClassMap(removePatchContent(content));
+    info.backup = findBackupPath(cssPath) !== null;
 
-  let anySuccess = false;
+    const jsPath = getScriptPath(cssPath);
+    info.script = fs.existsSync(jsPath) && hasPatch(fs.readFileSync(jsPath, "utf8"));
 
-  for (const extDir of extDirs) {
-    const cssFile = path.join(extDir, "webview", "index.css");
-    const version = path.basename(extDir).replace("anthropic.claude-code-", "");
-
-    if (isCheck) {
-      const patched = checkPatch(cssFile);
-      log(`[${version}] ${patched ? "PATCHED" : "NOT PATCHED"} — ${extDir}`);
-      anySuccess = anySuccess || patched;
-      continue;
-    }
+    const patch = describePatch(cssPath, content);
+    info.state = patch.state;
+    info.patched = patch.state !== "absent";
+    info.patchVersion = patch.version;
+  } catch (err) {
+    info.error = err.message;
+  }
 
-    if (isRevert) {
-      const result = revertPatch(cssFile);
-      if (result.success) {
-        log(`[${version}] Reverted RTL patch (${result.method}) — ${extDir}`);
-        anySuccess = true;
-      } else {
-        log(`[${version}] ${result.error} — ${extDir}`);
-      }
-      continue;
-    }
+  return info;
+}
 
-    // Apply patch
-    const result = applyPatch(cssFile);
-    if (result.success) {
-      log(`[${version}] RTL patch applied successfully — ${extDir}`);
-      log(
-        `  Classes found: ${Object.keys(result.classMap).join(", ")}`
-      );
-      log(`  Backup saved: ${result.backupPath}`);
-      log('  Reload VS Code window to see changes (Ctrl+Shift+P → "Reload Window")');
-      anySuccess = true;
-    } else {
-      console.error(`[${version}] Failed: ${result.error} — ${extDir}`);
-    }
+/**
+ * Determines the version and state of the patch in `content` (the current
+ * content of `filePath`). Returns { state, version }.
+ *
+ * A block with a META line carries its own version. Older blocks fall back
+ * to the manifest — version 2 patches were recorded there — and are version 1
+ * if the manifest does not describe the file's current content.
+ */
+function describePatch(filePath, content) {
+  if (!hasPatch(content)) return { state: "absent", version: null };
+
+  const meta = readPatchMeta(content);
+  let version;
+  if (meta) {
+    version = meta.version;
+    // A hand-edited block is upgraded like an outdated one
+    if (!meta.intact) return { state: "outdated", version };
+  } else {
+    const point = getCurrentPoint(readManifest(filePath), filePath);
+    version = point && point.patchedSha256 === sha256(content) ? point.patchVersion : 1;
   }
+  return { state: version < PATCH_VERSION ? "outdated" : "current", version };
+}
 
-  process.exit(anySuccess ? 0 : 1);
+/**
+ * Checks whether the patch is applied to a file.
+ *
+ * Returns "current", "outdated" (written by an older release, or edited
+ * since) or "absent". A legacy-format patch is migrated on the way and
+ * reported as outdated.
+ *
+ * Options:
+ *   config — (partial) user config. For a CSS file, a patch that differs
+ *            from what generateRtlCss would produce with this config now is
+ *            also reported as outdated.
+ */
+function checkPatch(filePath, options = {}) {
+  if (!fs.existsSync(filePath)) return "absent";
+  migrateLegacyFormat(filePath);
+  const content = fs.readFileSync(filePath, "utf8");
+  const { state } = describePatch(filePath, content);
+
+  if (state === "current" && options.config && path.extname(filePath) === ".css") {
+    const original = removePatchContent(content);
+    const expected = readPatchMeta(
+      generateRtlCss(extractClassMap(original), options.config, classifyClasses(original))
+    );
+    const actual = readPatchMeta(content);
+    if (!actual || actual.sha256 !== expected.sha256) return "outdated";
+  }
+  return state;
 }
 
 // Export for use as module (by the companion extension and tests)
 module.exports = {
   findExtensionDirs,
+  getCandidateRoots,
+  probeExtensionDirs,
+  detectEditor,
+  getInstallationVersion,
+  compareVersions,
+  selectActiveInstallations,
+  inspectInstallation,
   extractHashSuffix,
   extractClassMap,
+  classSelector,
   generateRtlCss,
+  hasDirectedBlocks,
+  generateRtlJs,
   applyPatch,
+  applyScriptPatch,
+  getScriptPath,
   revertPatch,
+  restorePatch,
+  listRestorePoints,
   checkPatch,
+  describePatch,
+  readPatchMeta,
+  hasPatch,
   removePatchContent,
+  migrateLegacyFormat,
   PATCH_START,
   PATCH_END,
+  PATCH_VERSION,
+  BACKUP_SUFFIX,
+  LEGACY_MARKER,
+  LEGACY_BACKUP_SUFFIXES,
+  CLASS_PATTERNS,
+  EDITORS,
+  INSTALLATION_PREFIX,
 };
 
 // Run CLI if executed directly
 if (require.main === module) {
-  main();
+  require("./cli").main();
 }
@@ -0,0 +1,102 @@
+/**
+ * `--prune`: finds stale Claude Code versions and our leftovers in them.
+ *
+ * VS Code keeps old extension versions around until it gets to deleting
+ * them, and earlier releases of this tool patched every one of them. Each
+ * extensions root therefore may hold stale version folders carrying our
+ * backups, manifest and restore points, plus backups in the active version
+ * whose file is no longer patched.
+ *
+ * Only artifacts this tool created are ever removed — the version folders
+ * themselves belong to the editor.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+  getInstallationVersion,
+  selectActiveInstallations,
+  hasPatch,
+  BACKUP_SUFFIX,
+  LEGACY_BACKUP_SUFFIXES,
+} = require("./patch-rtl");
+const { MANIFEST_NAME, RESTORE_DIR_NAME } = require("./manifest");
+
+// Files in webview/ that we patch and back up
+const PATCHED_FILES = ["index.css", "index.js"];
+
+function getSize(target) {
+  const stat = fs.statSync(target);
+  if (!stat.isDirectory()) return stat.size;
+  return fs
+    .readdirSync(target)
+    .reduce((total, entry) => total + getSize(path.join(target, entry)), 0);
+}
+
+function isPatched(filePath) {
+  return fs.existsSync(filePath) && hasPatch(fs.readFileSync(filePath, "utf8"));
+}
+
+/**
+ * Lists our artifacts in one installation. For the active version only
+ * orphaned backups count (the file they back up is gone or unpatched); for a
+ * stale version everything we created does.
+ */
+function findArtifacts(extDir, { stale }) {
+  const webviewDir = path.join(extDir, "webview");
+  const artifacts = [];
+  const add = (target, kind) => {
+    if (fs.existsSync(target)) artifacts.push({ path: target, kind, size: getSize(target) });
+  };
+
+  for (const file of PATCHED_FILES) {
+    const filePath = path.join(webviewDir, file);
+    if (!stale && isPatched(filePath)) continue;
+    add(filePath + BACKUP_SUFFIX, "backup");
+    LEGACY_BACKUP_SUFFIXES.forEach((suffix) => add(filePath + suffix, "legacy backup"));
+  }
+  if (stale) {
+    add(path.join(webviewDir, MANIFEST_NAME), "manifest");
+    add(path.join(webviewDir, RESTORE_DIR_NAME), "restore points");
+  }
+
+  return artifacts;
+}
+
+/**
+ * Works out the active version in each extensions root and what can be
+ * pruned. Returns one { path, version, active, artifacts } entry per
+ * installation.
+ *
+ * When `extDirs` is a filtered list, pass the active installations picked
+ * from the unfiltered one as `activeDirs`.
+ */
+function findPruneTargets(extDirs, activeDirs = selectActiveInstallations(extDirs)) {
+  const active = new Set(activeDirs);
+  return extDirs.map((extDir) => ({
+    path: extDir,
+    version: getInstallationVersion(extDir),
+    active: active.has(extDir),
+    artifacts: findArtifacts(extDir, { stale: !active.has(extDir) }),
+  }));
+}
+
+/**
+ * Deletes the artifacts listed by findPruneTargets.
+ * Returns { removed, errors } with the paths and failure messages.
+ */
+function pruneArtifacts(targets) {
+  const removed = [];
+  const errors = [];
+  for (const artifact of targets.flatMap((target) => target.artifacts)) {
+    try {
+      fs.rmSync(artifact.path, { recursive: true, force: true });
+      removed.push(artifact.path);
+    } catch (err) {
+      errors.push(`${artifact.path}: ${err.message}`);
+    }
+  }
+  return { removed, errors };
+}
+
+module.exports = { findPruneTargets, pruneArtifacts };
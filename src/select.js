@@ -0,0 +1,118 @@
+/**
+ * Choosing which installations a CLI run acts on: the `--editor`,
+ * `--version` and `--path` filters, and the interactive picker shown when
+ * more than one installation is left on a terminal.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const {
+  detectEditor,
+  getInstallationVersion,
+  describePatch,
+  EDITORS,
+} = require("./patch-rtl");
+const { parseRange, satisfies } = require("./semver");
+
+/**
+ * Keeps the installations that match every given filter.
+ *
+ * Filters:
+ *   editor  — editor flavour, one of EDITORS
+ *   version — semver range matched against the Claude Code version
+ *   path    — an installation directory or any directory containing it
+ *
+ * Throws an Error for an unknown editor or an invalid range.
+ */
+function filterInstallations(extDirs, filters = {}) {
+  const { editor, version, path: dir } = filters;
+  if (editor !== undefined && !EDITORS.includes(editor)) {
+    throw new Error(`--editor must be one of: ${EDITORS.join(", ")}`);
+  }
+  if (version !== undefined) parseRange(version); // validate up front
+  const base = dir !== undefined ? path.resolve(dir) : null;
+
+  return extDirs.filter((extDir) => {
+    if (editor !== undefined && detectEditor(extDir) !== editor) return false;
+    if (version !== undefined && !satisfies(getInstallationVersion(extDir), version)) return false;
+    if (base !== null) {
+      const resolved = path.resolve(extDir);
+      if (resolved !== base && !resolved.startsWith(base + path.sep)) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Returns a short patch state label for the picker, without migrating
+ * anything: "current", "outdated", "absent" or "missing CSS".
+ */
+function getPatchLabel(extDir) {
+  const cssFile = path.join(extDir, "webview", "index.css");
+  try {
+    return describePatch(cssFile, fs.readFileSync(cssFile, "utf8")).state;
+  } catch {
+    return "missing CSS";
+  }
+}
+
+/**
+ * Parses the picker answer into 0-based indexes: "" or "all" selects
+ * everything, otherwise numbers and ranges separated by commas or spaces
+ * ("1,3", "2-4"). Returns null if the answer is invalid.
+ */
+function parseSelection(answer, count) {
+  const text = answer.trim().toLowerCase();
+  if (text === "" || text === "all" || text === "a") {
+    return Array.from({ length: count }, (_, i) => i);
+  }
+
+  const selected = new Set();
+  for (const token of text.split(/[\s,]+/)) {
+    const match = token.match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) return null;
+    const from = Number(match[1]);
+    const to = Number(match[2] || match[1]);
+    if (from < 1 || to > count || from > to) return null;
+    for (let n = from; n <= to; n++) selected.add(n - 1);
+  }
+  return [...selected].sort((a, b) => a - b);
+}
+
+/**
+ * Lists the installations on the terminal and asks which to act on.
+ * Calls `done(selectedDirs)`; an empty selection means the user cancelled.
+ */
+function pickInstallations(extDirs, done) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  console.log("Found several Claude Code installations:");
+  extDirs.forEach((extDir, i) => {
+    const version = getInstallationVersion(extDir);
+    console.log(
+      `  ${String(i + 1).padStart(2)}) [${version}] ${detectEditor(extDir)}, ` +
+        `patch ${getPatchLabel(extDir)} — ${extDir}`
+    );
+  });
+
+  const ask = () => {
+    rl.question("Select installations (e.g. 1,3 or 2-4; Enter for all, q to cancel): ", (answer) => {
+      if (/^q(uit)?$/i.test(answer.trim())) {
+        rl.close();
+        done([]);
+        return;
+      }
+      const indexes = parseSelection(answer, extDirs.length);
+      if (!indexes) {
+        console.log(`Please enter numbers between 1 and ${extDirs.length}.`);
+        ask();
+        return;
+      }
+      rl.close();
+      done(indexes.map((i) => extDirs[i]));
+    });
+  };
+  ask();
+}
+
+module.exports = { filterInstallations, parseSelection, pickInstallations };
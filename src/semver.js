@@ -0,0 +1,127 @@
+/**
+ * Just enough semver to compare Claude Code versions and match `--version`
+ * ranges, without a dependency.
+ *
+ * Supported range syntax: exact and partial versions ("2.0.1", "2.0",
+ * "2.x", "*"), comparators (">=2.0.0 <3"), caret and tilde ranges ("^2.0.1",
+ * "~2.0.1"), hyphen ranges ("2.0.0 - 2.1.0") and "||" alternatives.
+ * Pre-release tags and platform suffixes ("2.0.1-darwin-arm64") are ignored.
+ */
+
+/**
+ * Parses the numeric parts of a version: "2.0.10-darwin-arm64" -> [2, 0, 10].
+ * Wildcards ("x", "*") and missing parts end the list.
+ */
+function parseVersion(version) {
+  const parts = [];
+  for (const part of String(version).trim().replace(/^v/, "").split(/[-+]/)[0].split(".")) {
+    if (!/^\d+$/.test(part)) break;
+    parts.push(Number(part));
+  }
+  return parts;
+}
+
+/**
+ * Compares two versions by their numeric parts. Returns a negative, zero or
+ * positive number.
+ */
+function compareVersions(a, b) {
+  const [pa, pb] = [parseVersion(a), parseVersion(b)];
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+// Smallest version above every version that starts with `parts`
+function bumpPrefix(parts) {
+  if (parts.length === 0) return null;
+  const next = parts.slice();
+  next[next.length - 1]++;
+  return next.join(".");
+}
+
+/**
+ * Turns one comparator ("^2.0.1", ">=2", "2.x") into [operator, version]
+ * pairs that must all hold.
+ */
+function expandComparator(comparator) {
+  const match = comparator.match(/^(\^|~|>=|<=|>|<|=)?\s*(.+)$/);
+  if (!match || !/^v?(\d+|[xX*])(\.(\d+|[xX*]))*([-+].*)?$/.test(match[2])) {
+    throw new Error(`Invalid version range: ${comparator}`);
+  }
+  const [, operator = "", version] = match;
+  const parts = parseVersion(version);
+  const base = parts.join(".");
+
+  switch (operator) {
+    case "^": {
+      // Up to the next change of the first non-zero part
+      const significant = parts.findIndex((part) => part !== 0);
+      const upper = bumpPrefix(parts.slice(0, significant === -1 ? parts.length : significant + 1));
+      return [[">=", base], ...(upper ? [["<", upper]] : [])];
+    }
+    case "~": {
+      const upper = bumpPrefix(parts.slice(0, Math.max(1, Math.min(parts.length, 2))));
+      return [[">=", base], ...(upper ? [["<", upper]] : [])];
+    }
+    case "":
+    case "=": {
+      // A partial version matches everything it is a prefix of
+      if (parts.length === 0) return [];
+      if (parts.length >= 3) return [["=", base]];
+      return [[">=", base], ["<", bumpPrefix(parts)]];
+    }
+    default:
+      // Partial bounds cover the whole prefix: "<=2.1" is "<2.2", ">2.1" is ">=2.2"
+      if (parts.length > 0 && parts.length < 3 && (operator === "<=" || operator === ">")) {
+        return [[operator === "<=" ? "<" : ">=", bumpPrefix(parts)]];
+      }
+      return [[operator, base || "0"]];
+  }
+}
+
+function test(version, [operator, bound]) {
+  const cmp = compareVersions(version, bound);
+  switch (operator) {
+    case ">=":
+      return cmp >= 0;
+    case "<=":
+      return cmp <= 0;
+    case ">":
+      return cmp > 0;
+    case "<":
+      return cmp < 0;
+    default:
+      return cmp === 0;
+  }
+}
+
+/**
+ * Parses a range into its "||" alternatives, each a list of [operator,
+ * version] pairs that must all hold. Every comparator is validated, so this
+ * throws on an invalid range even where satisfies() would stop early.
+ */
+function parseRange(range) {
+  return range.split("||").map((alternative) => {
+    let text = alternative.trim();
+    const hyphen = text.match(/^(\S+)\s+-\s+(\S+)$/);
+    if (hyphen) text = `>=${hyphen[1]} <=${hyphen[2]}`;
+
+    const comparators = text
+      .replace(/(\^|~|>=|<=|>|<|=)\s+/g, "$1")
+      .split(/\s+/)
+      .filter(Boolean);
+    return comparators.flatMap(expandComparator);
+  });
+}
+
+/**
+ * Checks whether `version` satisfies `range`. Throws on an invalid range.
+ */
+function satisfies(version, range) {
+  return parseRange(range).some((pairs) => pairs.every((pair) => test(version, pair)));
+}
+
+module.exports = { parseVersion, compareVersions, parseRange, satisfies };
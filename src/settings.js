@@ -0,0 +1,55 @@
+/**
+ * `claudeCodeRtlFix.*` settings of the companion extension.
+ *
+ * Most settings mirror a field of the user config (src/config.js). A setting
+ * only overrides ~/.claude-code-rtl.json when the user has explicitly set it
+ * (in user or workspace settings), so people who configure everything in the
+ * file are not overridden by the settings' defaults.
+ *
+ * Kept free of the `vscode` module so it can be unit tested; the extension
+ * passes in a function that reads explicit setting values.
+ */
+
+const { resolveConfig } = require("./config");
+
+const SECTION = "claudeCodeRtlFix";
+
+// Setting key (below SECTION) -> path of the config field it overrides
+const CONFIG_SETTINGS = {
+  direction: ["direction"],
+  layout: ["layout"],
+  patchScript: ["patchScript"],
+  "rules.timeline": ["rules", "timeline"],
+  "rules.inputArea": ["rules", "inputArea"],
+  "rules.codeLtr": ["rules", "codeLtr"],
+  "rules.markdown": ["rules", "markdown"],
+  "rules.components": ["rules", "components"],
+  "rules.typography": ["rules", "typography"],
+  "typography.lineHeight": ["typography", "lineHeight"],
+  "typography.fonts.hebrew": ["typography", "fonts", "hebrew"],
+  "typography.fonts.arabic": ["typography", "fonts", "arabic"],
+  "typography.fonts.persian": ["typography", "fonts", "persian"],
+};
+
+// What happens after a patch changed the CSS: ask, reload right away, or
+// only show a notice
+const RELOAD_BEHAVIORS = ["prompt", "auto", "never"];
+
+/**
+ * Applies explicitly set settings on top of a resolved config.
+ * `readSetting(key)` returns the explicit value of `claudeCodeRtlFix.<key>`,
+ * or undefined. Throws like resolveConfig for invalid values.
+ */
+function applySettings(config, readSetting) {
+  // A resolved config is plain JSON; structuredClone needs Node 17
+  const merged = JSON.parse(JSON.stringify(config));
+  for (const [key, fieldPath] of Object.entries(CONFIG_SETTINGS)) {
+    const value = readSetting(key);
+    if (value === undefined) continue;
+    const parent = fieldPath.slice(0, -1).reduce((obj, field) => obj[field], merged);
+    parent[fieldPath[fieldPath.length - 1]] = value;
+  }
+  return resolveConfig(merged);
+}
+
+module.exports = { SECTION, CONFIG_SETTINGS, RELOAD_BEHAVIORS, applySettings };
@@ -0,0 +1,185 @@
+/**
+ * `--watch`: keeps installations patched without the companion extension.
+ *
+ * Watches every extension root for new `anthropic.claude-code-*` version
+ * directories, and every installation's webview directory for rewrites of
+ * index.css (Claude Code replaces the file on update rather than editing it,
+ * so the directory is watched, not the file). Events are debounced per
+ * installation, then the patch is re-applied if checkPatch does not report it
+ * as current — which also makes our own writes a no-op when they echo back.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+  probeExtensionDirs,
+  getInstallationVersion,
+  selectActiveInstallations,
+  applyPatch,
+  applyScriptPatch,
+  getScriptPath,
+  revertPatch,
+  checkPatch,
+  INSTALLATION_PREFIX,
+} = require("./patch-rtl");
+
+// Quiet period before acting on a burst of file system events
+const DEBOUNCE_MS = 1000;
+
+/**
+ * Returns the extension roots to watch: every root that exists, whether or
+ * not it holds an installation yet.
+ */
+function getWatchRoots(probe = probeExtensionDirs()) {
+  const roots = new Set(probe.found.map((extDir) => path.dirname(extDir)));
+  for (const { path: root, status } of probe.probes) {
+    if (status === "empty") roots.add(root);
+  }
+  return [...roots];
+}
+
+/**
+ * Brings one installation up to date: applies the patch if it is missing or
+ * outdated for `config`, and does nothing if it is current.
+ * `reason` (e.g. "index.css changed") is logged when something is done.
+ * Returns "patched", "current", "waiting" (no CSS yet) or "failed".
+ */
+function syncInstallation(extDir, { config, log, reason }) {
+  const version = getInstallationVersion(extDir);
+  const cssFile = path.join(extDir, "webview", "index.css");
+  if (!fs.existsSync(cssFile)) {
+    log(`[${version}] Waiting for ${cssFile}`);
+    return "waiting";
+  }
+
+  // Our own writes echo back as change events; they end here
+  const state = checkPatch(cssFile, { config });
+  if (state === "current") return "current";
+  if (reason) log(`[${version}] ${reason}`);
+
+  const result = applyPatch(cssFile, { config });
+  if (!result.success) {
+    log(`[${version}] Failed: ${result.error} — ${extDir}`);
+    return "failed";
+  }
+  log(`[${version}] RTL patch ${state === "outdated" ? "upgraded" : "applied"} — ${extDir}`);
+
+  const jsFile = getScriptPath(cssFile);
+  if (config.patchScript) {
+    const scriptResult = applyScriptPatch(jsFile, { config, classMap: result.classMap });
+    log(
+      scriptResult.success
+        ? `[${version}] Webview script patched: ${jsFile}`
+        : `[${version}] Webview script not patched: ${scriptResult.error}`
+    );
+  } else if (checkPatch(jsFile) !== "absent") {
+    revertPatch(jsFile);
+    log(`[${version}] Webview script patch removed: ${jsFile}`);
+  }
+  return "patched";
+}
+
+/**
+ * Patches every installation, then watches for changes until close() is
+ * called on the returned handle.
+ *
+ * Options:
+ *   config     — resolved user config
+ *   log        — logger for every action (the CLI adds timestamps)
+ *   debounceMs — quiet period before re-patching (default DEBOUNCE_MS)
+ *   allVersions — also patch versions the editor no longer loads at startup
+ *                 (new versions are always patched when they appear)
+ *   home       — home directory to search instead of the current user's
+ *
+ * Returns { roots, close } or throws if there is no extension root to watch.
+ */
+function startWatch({ config, log, debounceMs = DEBOUNCE_MS, allVersions = false, home }) {
+  const probe = probeExtensionDirs(home);
+  const roots = getWatchRoots(probe);
+  if (roots.length === 0) {
+    throw new Error("No extension root found to watch");
+  }
+
+  const watchers = new Map(); // watched directory -> fs.FSWatcher
+  const timers = new Map(); // extDir -> pending debounce timer
+
+  function unwatch(dir) {
+    const watcher = watchers.get(dir);
+    if (watcher) {
+      watcher.close();
+      watchers.delete(dir);
+    }
+  }
+
+  function watch(dir, onChange) {
+    if (watchers.has(dir) || !fs.existsSync(dir)) return;
+    try {
+      const watcher = fs.watch(dir, (eventType, filename) => onChange(filename));
+      // Emitted when the directory is deleted (old versions being removed)
+      watcher.on("error", () => unwatch(dir));
+      watchers.set(dir, watcher);
+    } catch (err) {
+      log(`Cannot watch ${dir}: ${err.message}`);
+    }
+  }
+
+  function watchInstallation(extDir) {
+    watch(path.join(extDir, "webview"), (filename) => {
+      if (filename === "index.css") schedule(extDir, "index.css changed");
+    });
+  }
+
+  function schedule(extDir, reason) {
+    clearTimeout(timers.get(extDir));
+    timers.set(
+      extDir,
+      setTimeout(() => {
+        timers.delete(extDir);
+        if (!fs.existsSync(extDir)) {
+          unwatch(path.join(extDir, "webview"));
+          log(`[${getInstallationVersion(extDir)}] Removed — ${extDir}`);
+          return;
+        }
+        // A new version directory may not have had its webview/ yet
+        watchInstallation(extDir);
+        trySync(extDir, reason);
+      }, debounceMs)
+    );
+  }
+
+  // A failing installation is logged and retried on its next change; it
+  // must not stop the watch
+  function trySync(extDir, reason) {
+    try {
+      syncInstallation(extDir, { config, log, reason });
+    } catch (err) {
+      log(`[${getInstallationVersion(extDir)}] Failed: ${err.message}`);
+    }
+  }
+
+  for (const root of roots) {
+    watch(root, (filename) => {
+      if (filename && filename.startsWith(INSTALLATION_PREFIX)) {
+        schedule(path.join(root, filename), "Version directory changed");
+      }
+    });
+    log(`Watching ${root}`);
+  }
+
+  const active = new Set(allVersions ? probe.found : selectActiveInstallations(probe.found));
+  for (const extDir of probe.found) {
+    watchInstallation(extDir);
+    if (active.has(extDir)) trySync(extDir);
+  }
+
+  return {
+    roots,
+    close() {
+      timers.forEach((timer) => clearTimeout(timer));
+      timers.clear();
+      [...watchers.keys()].forEach(unwatch);
+    },
+  };
+}
+
+module.exports = { startWatch, syncInstallation, getWatchRoots, DEBOUNCE_MS };
@@ -0,0 +1,209 @@
+/**
+ * Script injected into the Claude Code webview JS bundle (webview/index.js).
+ *
+ * CSS can only change how text is laid out. Some things depend on the `dir`
+ * attribute instead: list-marker placement, the side logical properties
+ * resolve to (list indentation, blockquote borders, table columns), caret
+ * movement in the prompt input, and the direction reported to screen
+ * readers. The script sets `dir="auto"` (or the forced direction) on message,
+ * markdown block and input elements as they are rendered.
+ *
+ * Ctrl+Shift+X (Cmd+Shift+X on macOS) in the prompt input cycles its
+ * direction between auto, RTL and LTR — for prompts that start with a path
+ * and continue in Hebrew. The choice is kept in sessionStorage, so it lasts
+ * for the session. The key is matched by its physical position
+ * (`event.code`), so it works with a Hebrew or Arabic keyboard layout too.
+ * The companion extension binds the same chord to a no-op command while the
+ * Claude Code webview is focused, so VS Code does not run its own command
+ * for it.
+ *
+ * Hovering a message shows a small control that cycles just that message
+ * between auto, RTL and LTR, for when auto-detection gets it wrong. The
+ * choice is stored in MESSAGE_DIR_ATTR, which the generated CSS turns into
+ * the direction. The control lives in <body>, outside the messages, so the
+ * webview's own rendering never sees a foreign node. Overrides are not
+ * stored — reloading the webview resets them.
+ *
+ * The generated code must never throw — a failure here would take the whole
+ * webview down with it — so everything runs inside a try/catch, and so does
+ * every event handler and observer callback, which run after it returned.
+ */
+
+// sessionStorage key of the direction chosen for the prompt input
+const INPUT_DIR_KEY = "claudeCodeRtlFix.inputDir";
+
+// Physical key that toggles the prompt input direction with Ctrl/Cmd+Shift
+const INPUT_TOGGLE_CODE = "KeyX";
+
+// Attribute holding a message's direction override ("auto", "rtl", "ltr")
+const MESSAGE_DIR_ATTR = "data-rtl-fix-dir";
+
+/**
+ * Generates the script body (without patch markers).
+ *
+ * `selectors` holds CSS selector lists:
+ *   messages — message containers
+ *   blocks   — lists, list items, blockquotes and tables inside messages
+ *   inputs   — prompt input elements
+ *   toggles  — messages that get the hover direction control (optional)
+ * `direction` is the value written to the dir attribute ("auto", "rtl", "ltr").
+ */
+function generateRtlScript(selectors, direction = "auto") {
+  const config = {
+    dir: direction,
+    messages: selectors.messages.join(", "),
+    blocks: selectors.blocks.join(", "),
+    inputs: selectors.inputs.join(", "),
+    inputDirKey: INPUT_DIR_KEY,
+    toggleCode: INPUT_TOGGLE_CODE,
+    toggles: (selectors.toggles || []).join(", "),
+    messageDirAttr: MESSAGE_DIR_ATTR,
+  };
+
+  return `;(function claudeCodeRtlFix() {
+  try {
+    var config = ${JSON.stringify(config, null, 2).replace(/\n/g, "\n    ")};
+    var selector = [config.messages, config.blocks, config.inputs].join(", ");
+    var inputDirs = ["auto", "rtl", "ltr"];
+
+    // Callbacks run outside the try/catch below, so each gets its own
+    function guarded(fn) {
+      return function () {
+        try {
+          return fn.apply(this, arguments);
+        } catch (err) {
+          console.warn("Claude Code RTL Fix: webview handler failed", err);
+        }
+      };
+    }
+
+    function storedInputDir() {
+      try {
+        var dir = window.sessionStorage.getItem(config.inputDirKey);
+        return inputDirs.indexOf(dir) === -1 ? null : dir;
+      } catch (err) {
+        return null; // storage can be unavailable in sandboxed frames
+      }
+    }
+
+    function mark(el) {
+      // The direction chosen for the prompt input wins over everything else
+      var inputDir = el.matches(config.inputs) && storedInputDir();
+      if (inputDir) el.setAttribute("dir", inputDir);
+      // Leave explicit directions set by the webview itself alone
+      else if (!el.hasAttribute("dir")) el.setAttribute("dir", config.dir);
+    }
+
+    function toggleInputDir(event) {
+      if (event.code !== config.toggleCode || !event.shiftKey || event.altKey) return;
+      if (!(event.ctrlKey || event.metaKey)) return;
+      var active = document.activeElement;
+      if (!active || !active.matches(config.inputs)) return;
+
+      event.preventDefault();
+      event.stopPropagation();
+      var current = storedInputDir() || active.getAttribute("dir") || config.dir;
+      var next = inputDirs[(inputDirs.indexOf(current) + 1) % inputDirs.length];
+      try {
+        window.sessionStorage.setItem(config.inputDirKey, next);
+      } catch (err) {
+        // Still toggle for this page when it cannot be stored
+      }
+      document.querySelectorAll(config.inputs).forEach(function (el) {
+        el.setAttribute("dir", next);
+      });
+    }
+
+    function scan(node) {
+      if (node.nodeType !== 1) return;
+      if (node.matches(selector)) mark(node);
+      node.querySelectorAll(selector).forEach(mark);
+    }
+
+    var control = null;
+    var hovered = null;
+
+    function messageDir(el) {
+      return el.getAttribute(config.messageDirAttr) || config.dir;
+    }
+
+    function showControl(message) {
+      hovered = message;
+      var dir = messageDir(message);
+      var next = inputDirs[(inputDirs.indexOf(dir) + 1) % inputDirs.length];
+      var rect = message.getBoundingClientRect();
+      control.textContent = dir === "auto" ? "auto" : dir.toUpperCase();
+      control.title = "Text direction of this message: " + dir + " (click for " + next + ")";
+      control.style.top = Math.max(rect.top, 0) + 4 + "px";
+      // Top corner on the end side of the message
+      if (getComputedStyle(message).direction === "rtl") {
+        control.style.left = rect.left + 4 + "px";
+        control.style.right = "";
+      } else {
+        control.style.left = "";
+        control.style.right = Math.max(window.innerWidth - rect.right, 0) + 4 + "px";
+      }
+      control.style.display = "block";
+    }
+
+    function hideControl() {
+      hovered = null;
+      control.style.display = "none";
+    }
+
+    function cycleMessageDir(event) {
+      event.preventDefault();
+      event.stopPropagation();
+      if (!hovered) return;
+      var dir = messageDir(hovered);
+      var next = inputDirs[(inputDirs.indexOf(dir) + 1) % inputDirs.length];
+      hovered.setAttribute(config.messageDirAttr, next);
+      hovered.setAttribute("dir", next);
+      showControl(hovered);
+    }
+
+    function createControl() {
+      control = document.createElement("button");
+      control.type = "button";
+      control.className = "claudeCodeRtlFixDirToggle";
+      control.style.cssText =
+        "position:fixed;z-index:1000;display:none;margin:0;padding:1px 5px;" +
+        "border:none;border-radius:3px;font:10px/1.4 var(--vscode-font-family);" +
+        "background:var(--vscode-button-secondaryBackground);" +
+        "color:var(--vscode-button-secondaryForeground);opacity:0.85;cursor:pointer;";
+      control.addEventListener("click", guarded(cycleMessageDir));
+      document.body.appendChild(control);
+
+      document.addEventListener("mouseover", guarded(function (event) {
+        var target = event.target;
+        if (target === control) return;
+        var message = target && target.closest ? target.closest(config.toggles) : null;
+        if (message) showControl(message);
+        else if (hovered) hideControl();
+      }));
+      // The control is placed in viewport coordinates
+      window.addEventListener("scroll", guarded(function () {
+        if (hovered) hideControl();
+      }), true);
+    }
+
+    function start() {
+      window.addEventListener("keydown", guarded(toggleInputDir), true);
+      if (config.toggles) createControl();
+      scan(document.body);
+      new MutationObserver(guarded(function (mutations) {
+        for (var i = 0; i < mutations.length; i++) {
+          mutations[i].addedNodes.forEach(scan);
+        }
+      })).observe(document.body, { childList: true, subtree: true });
+    }
+
+    if (document.body) start();
+    else document.addEventListener("DOMContentLoaded", guarded(start));
+  } catch (err) {
+    console.warn("Claude Code RTL Fix: webview script failed", err);
+  }
+})();`;
+}
+
+module.exports = { generateRtlScript, INPUT_DIR_KEY, MESSAGE_DIR_ATTR };
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the CSS-module class classification.
+ */
+
+const assert = require("assert");
+
+const { classifyClasses, classifyClass, splitWords } = require("../src/classify");
+
+const { test } = require("./harness");
+
+console.log("\nRunning classify unit tests...\n");
+
+const kindOf = (components, name) => components.find((c) => c.name === name).kind;
+
+// --- splitWords ---
+
+test("splitWords: splits camelCase and drops plural endings", () => {
+  assert.deepStrictEqual(splitWords("permissionPromptButtons"), ["permission", "prompt", "button"]);
+  assert.deepStrictEqual(splitWords("progressStatus"), ["progress", "status"]);
+});
+
+// --- classifyClass ---
+
+test("classifyClass: the name decides before the declarations", () => {
+  const flex = new Map([["display", "flex"]]);
+  assert.strictEqual(classifyClass("thinkingBlock", flex).kind, "text");
+  assert.strictEqual(classifyClass("diffView", new Map()).kind, "code");
+  assert.strictEqual(classifyClass("toolResultContainer", new Map([["font-size", "12px"]])).kind, "layout");
+  // Words are singular after splitWords, so plural layout names still match
+  assert.strictEqual(classifyClass("messageActions", new Map()).kind, "layout");
+  assert.strictEqual(classifyClass("toolActions", new Map([["font-size", "12px"]])).kind, "layout");
+});
+
+test("classifyClass: falls back to the declared properties", () => {
+  const mono = new Map([["font-family", "var(--vscode-editor-font-family)"]]);
+  assert.strictEqual(classifyClass("fooBar", mono).kind, "code");
+  assert.strictEqual(classifyClass("fooBar", new Map([["white-space", "pre"]])).kind, "code");
+  assert.strictEqual(classifyClass("fooBar", new Map([["white-space", "pre-wrap"]])).kind, "text");
+  const layout = classifyClass("fooBar", new Map([["display", "flex"], ["gap", "4px"]]));
+  assert.deepStrictEqual(layout, { kind: "layout", reason: "no text properties" });
+});
+
+// --- classifyClasses ---
+
+test("classifyClasses: lists every module class with its hash", () => {
+  const components = classifyClasses(`
+    .message_Abc123{display:flex}
+    @media (max-width: 400px) { .planModePanel_Xy9zz{padding:4px} }
+    .todoList_Xy9zz > .row_Xy9zz{display:flex}
+    .snake_case{color:red}
+  `);
+  assert.deepStrictEqual(
+    components.map((c) => `${c.name}_${c.hash}`),
+    ["message_Abc123", "planModePanel_Xy9zz", "row_Xy9zz", "todoList_Xy9zz"]
+  );
+  assert.strictEqual(kindOf(components, "planModePanel"), "text");
+  assert.strictEqual(kindOf(components, "row"), "layout");
+});
+
+test("classifyClasses: only uses declarations where the class is the subject", () => {
+  const components = classifyClasses(`
+    .fooBar_Abc123 .inner_Abc123{font-family:monospace}
+    .other_Abc123:hover{font-size:13px}
+  `);
+  assert.strictEqual(kindOf(components, "fooBar"), "layout");
+  assert.strictEqual(kindOf(components, "inner"), "code");
+  assert.strictEqual(kindOf(components, "other"), "text");
+});
+
+test("classifyClasses: ignores classes in comments", () => {
+  assert.deepStrictEqual(classifyClasses("/* .ghostText_Abc123 {} */ .a{}"), []);
+});
@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the pure parts of the command-line interface.
+ */
+
+const assert = require("assert");
+
+const { getArgValue, getCheckExitCode, EXIT_CODES } = require("../src/cli");
+
+const { test } = require("./harness");
+
+console.log("\nRunning CLI unit tests...\n");
+
+test("getArgValue: reads --name value and --name=value", () => {
+  assert.strictEqual(getArgValue(["--config", "a.json"], "--config"), "a.json");
+  assert.strictEqual(getArgValue(["--config=b.json"], "--config"), "b.json");
+  assert.strictEqual(getArgValue(["--check"], "--config"), undefined);
+});
+
+test("getCheckExitCode: distinguishes patched, partial, none and outdated", () => {
+  const current = { state: "current" };
+  const absent = { state: "absent" };
+  const outdated = { state: "outdated" };
+  assert.strictEqual(getCheckExitCode([current, current]), EXIT_CODES.ALL_PATCHED);
+  assert.strictEqual(getCheckExitCode([current, absent]), EXIT_CODES.PARTIALLY_PATCHED);
+  assert.strictEqual(getCheckExitCode([absent]), EXIT_CODES.NONE_PATCHED);
+  assert.strictEqual(getCheckExitCode([current, outdated, absent]), EXIT_CODES.OUTDATED);
+  assert.strictEqual(getCheckExitCode([]), EXIT_CODES.DISCOVERY_FAILED);
+  assert.strictEqual(
+    getCheckExitCode([current, { state: "absent", error: "CSS file not found" }]),
+    EXIT_CODES.DISCOVERY_FAILED
+  );
+});
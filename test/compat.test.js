@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the known-versions compatibility table.
+ */
+
+const assert = require("assert");
+const path = require("path");
+
+const { applyPatch } = require("../src/patch-rtl");
+const {
+  KNOWN_VERSIONS,
+  getCompatEntry,
+  checkCompat,
+  checkInstallationCompat,
+  getClassInventory,
+  formatClassInventory,
+} = require("../src/compat");
+
+const { test, makeInstallation, SAMPLE_CSS: BASE_CSS } = require("./harness");
+
+console.log("\nRunning compat unit tests...\n");
+
+const SAMPLE_CSS = `${BASE_CSS}.toolResult_Xyz789{font-size:12px}
+.diffView_Xyz789{display:block}
+`;
+
+const TABLE = [
+  { version: "2.0.0", classes: ["message", "userMessage"] },
+  { version: "2.1.0", classes: ["message", "userMessage", "timelineMessage", "toolResult"] },
+];
+
+test("KNOWN_VERSIONS: entries are recorded releases", () => {
+  for (const entry of KNOWN_VERSIONS) {
+    assert.deepStrictEqual(Object.keys(entry).sort(), ["classes", "version"]);
+    assert.match(entry.version, /^\d+\.\d+\.\d+$/);
+    assert.notStrictEqual(entry.version, "0.0.0");
+    assert.ok(entry.classes.length > 0 && entry.classes.every((name) => /^[A-Za-z]\w*$/.test(name)));
+  }
+});
+
+test("checkCompat: an empty table produces no warnings", () => {
+  const result = checkCompat("2.1.0", ".message_Abc123{display:flex}", []);
+  assert.deepStrictEqual(result.warnings, []);
+  assert.strictEqual(result.testedUpTo, null);
+});
+
+test("getCompatEntry: picks the newest entry not newer than the version", () => {
+  assert.strictEqual(getCompatEntry("2.0.5", TABLE).version, "2.0.0");
+  assert.strictEqual(getCompatEntry("2.1.0", TABLE).version, "2.1.0");
+  assert.strictEqual(getCompatEntry("3.0.0", TABLE).version, "2.1.0");
+  assert.strictEqual(getCompatEntry("1.9.0", TABLE).version, "2.0.0");
+  assert.strictEqual(getCompatEntry("1.0.0", []), null);
+});
+
+test("checkCompat: a tested version with all classes has no warnings", () => {
+  const result = checkCompat("2.1.0", SAMPLE_CSS, TABLE);
+  assert.deepStrictEqual(result, {
+    version: "2.1.0",
+    tested: true,
+    testedUpTo: "2.1.0",
+    missingClasses: [],
+    warnings: [],
+  });
+});
+
+test("checkCompat: warns about versions newer than the table", () => {
+  const result = checkCompat("2.2.0", SAMPLE_CSS, TABLE);
+  assert.strictEqual(result.tested, false);
+  assert.strictEqual(result.warnings.length, 1);
+  assert.match(result.warnings[0], /2\.2\.0 is newer than any tested release \(up to 2\.1\.0\)/);
+  // An unreadable version is not guessed to be newer
+  assert.deepStrictEqual(checkCompat("some-folder", SAMPLE_CSS, TABLE).warnings.length, 0);
+});
+
+test("checkCompat: warns about missing expected classes", () => {
+  const css = SAMPLE_CSS.replace(".toolResult_Xyz789{font-size:12px}", "");
+  const result = checkCompat("2.1.0", css, TABLE);
+  assert.deepStrictEqual(result.missingClasses, ["toolResult"]);
+  assert.match(result.warnings[0], /missing from Claude Code 2\.1\.0: toolResult/);
+});
+
+test("checkInstallationCompat: ignores our own patch block", (tmpDir) => {
+  const extDir = makeInstallation(tmpDir, "2.1.0", SAMPLE_CSS);
+  const cssFile = path.join(extDir, "webview", "index.css");
+  assert.ok(applyPatch(cssFile).success);
+  assert.deepStrictEqual(checkInstallationCompat(extDir, TABLE).warnings, []);
+  assert.strictEqual(checkInstallationCompat(path.join(tmpDir, "missing"), TABLE), null);
+});
+
+test("getClassInventory: builds a table entry from the known and text/code classes", (tmpDir) => {
+  const extDir = makeInstallation(tmpDir, "2.1.0", SAMPLE_CSS);
+  const inventory = getClassInventory(extDir);
+  assert.strictEqual(inventory.version, "2.1.0");
+  assert.strictEqual(inventory.classMap.message, "Abc123");
+  assert.deepStrictEqual(inventory.entry, {
+    version: "2.1.0",
+    classes: ["diffView", "message", "timelineMessage", "toolResult", "userMessage"],
+  });
+
+  const text = formatClassInventory(inventory).join("\n");
+  assert.match(text, /\[2\.1\.0\] Class inventory/);
+  assert.match(text, /✓ message_Abc123/);
+  assert.match(text, /✗ chatContainer/);
+  assert.match(text, /code components \(1\): diffView/);
+  assert.match(text, /"version": "2\.1\.0"/);
+});
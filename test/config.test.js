@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for user config loading and validation.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+
+const { DEFAULT_CONFIG, resolveConfig, loadConfig } = require("../src/config");
+
+const { test } = require("./harness");
+
+console.log("\nRunning config unit tests...\n");
+
+// --- resolveConfig ---
+
+test("resolveConfig: empty config resolves to defaults", () => {
+  assert.deepStrictEqual(resolveConfig({}), DEFAULT_CONFIG);
+});
+
+test("resolveConfig: validates the direction mode", () => {
+  assert.strictEqual(resolveConfig({ direction: "rtl" }).direction, "rtl");
+  assert.throws(() => resolveConfig({ direction: "up" }), /direction must be one of/);
+});
+
+test("resolveConfig: validates the layout mode", () => {
+  assert.strictEqual(resolveConfig({ layout: "mirror" }).layout, "mirror");
+  assert.throws(() => resolveConfig({ layout: "flip" }), /layout must be one of/);
+});
+
+test("resolveConfig: merges rule toggles over defaults", () => {
+  const config = resolveConfig({ rules: { timeline: false } });
+  assert.strictEqual(config.rules.timeline, false);
+  assert.strictEqual(config.rules.inputArea, true);
+  assert.strictEqual(config.rules.codeLtr, true);
+});
+
+test("resolveConfig: rejects unknown rule groups", () => {
+  assert.throws(() => resolveConfig({ rules: { bogus: true } }), /Unknown rule group "bogus"/);
+});
+
+test("resolveConfig: converts numeric spacing to px", () => {
+  const config = resolveConfig({ spacing: { timelinePadding: 34, timelineAfterOffset: "1em" } });
+  assert.strictEqual(config.spacing.timelinePadding, "34px");
+  assert.strictEqual(config.spacing.timelineAfterOffset, "1em");
+  assert.strictEqual(config.spacing.timelineBeforeOffset, "9px");
+});
+
+test("resolveConfig: merges typography over defaults", () => {
+  const config = resolveConfig({ typography: { lineHeight: "28px", fonts: { arabic: "Vazirmatn" } } });
+  assert.strictEqual(config.typography.lineHeight, "28px");
+  assert.deepStrictEqual(config.typography.fonts.arabic, ["Vazirmatn"]);
+  assert.deepStrictEqual(config.typography.fonts.hebrew, DEFAULT_CONFIG.typography.fonts.hebrew);
+});
+
+test("resolveConfig: validates typography", () => {
+  assert.throws(() => resolveConfig({ typography: { fonts: { greek: [] } } }), /Unknown script "greek"/);
+  assert.throws(
+    () => resolveConfig({ typography: { fonts: { hebrew: ['x"); color: red'] } } }),
+    /invalid font name/
+  );
+  assert.throws(() => resolveConfig({ typography: { lineHeight: -1 } }), /lineHeight/);
+  assert.throws(() => resolveConfig({ typography: { size: 1 } }), /Unknown typography option/);
+});
+
+test("resolveConfig: accepts customCss as a single string", () => {
+  const config = resolveConfig({ customCss: ".a { color: red; }" });
+  assert.deepStrictEqual(config.customCss, [".a { color: red; }"]);
+});
+
+test("resolveConfig: rejects snippets containing the patch marker", () => {
+  assert.throws(
+    () => resolveConfig({ customCss: "/* CLAUDE-CODE-RTL-FIX:END */" }),
+    /must not contain/
+  );
+});
+
+test("resolveConfig: rejects rules passed as extra selectors", () => {
+  assert.throws(() => resolveConfig({ extraSelectors: [".a { color: red }"] }), /must be a selector/);
+});
+
+// --- loadConfig ---
+
+test("loadConfig: reads and resolves a config file", (tmpDir) => {
+  const file = path.join(tmpDir, "rtl.json");
+  fs.writeFileSync(file, JSON.stringify({ rules: { inputArea: false }, extraSelectors: [".x_1"] }));
+  const config = loadConfig(file);
+  assert.strictEqual(config.rules.inputArea, false);
+  assert.deepStrictEqual(config.extraSelectors, [".x_1"]);
+});
+
+test("loadConfig: fails for an explicit missing file", (tmpDir) => {
+  assert.throws(() => loadConfig(path.join(tmpDir, "missing.json")), /Config file not found/);
+});
+
+test("loadConfig: reports invalid JSON with the file path", (tmpDir) => {
+  const file = path.join(tmpDir, "rtl.json");
+  fs.writeFileSync(file, "{ nope");
+  assert.throws(() => loadConfig(file), (err) => err.message.includes(file));
+});
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the unified diff used by --dry-run.
+ */
+
+const assert = require("assert");
+
+const { createUnifiedDiff } = require("../src/diff");
+
+const { test } = require("./harness");
+
+console.log("\nRunning diff unit tests...\n");
+
+test("createUnifiedDiff: returns an empty string for identical texts", () => {
+  assert.strictEqual(createUnifiedDiff("a\nb\n", "a\nb\n"), "");
+});
+
+test("createUnifiedDiff: shows an appended block with context", () => {
+  const diff = createUnifiedDiff("a\nb\nc\nd\n", "a\nb\nc\nd\nX\nY\n", {
+    oldLabel: "index.css",
+    newLabel: "index.css",
+  });
+  assert.strictEqual(
+    diff,
+    ["--- index.css", "+++ index.css", "@@ -2,3 +2,5 @@", " b", " c", " d", "+X", "+Y", ""].join("\n")
+  );
+});
+
+test("createUnifiedDiff: splits distant changes into separate hunks", () => {
+  const before = "1\n2\n3\n4\n5\n6\n7\n8\n9\n10\n11\n12\n";
+  const after = "1\nX\n3\n4\n5\n6\n7\n8\n9\n10\n11\nY\n";
+  const diff = createUnifiedDiff(before, after);
+  assert.strictEqual((diff.match(/^@@/gm) || []).length, 2);
+  assert(diff.includes("-2\n+X"), "Deletions should come before insertions");
+  assert(diff.includes("@@ -9,4 +9,4 @@"), "Second hunk should have correct ranges");
+});
+
+test("createUnifiedDiff: handles an empty original", () => {
+  assert(createUnifiedDiff("", "a\n").includes("@@ -0,0 +1,1 @@\n+a"));
+});
+
+test("createUnifiedDiff: truncates long context lines", () => {
+  const longLine = "x".repeat(500);
+  const diff = createUnifiedDiff(`${longLine}\n`, `${longLine}\nnew\n`, { maxLineLength: 10 });
+  assert(diff.includes(" xxxxxxxxxx… (490 more chars)"));
+  assert(diff.includes("+new"));
+});
@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for --doctor diagnostics.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+
+const { probeExtensionDirs, applyPatch, CLASS_PATTERNS, LEGACY_MARKER } = require("../src/patch-rtl");
+const { diagnoseInstallation, formatDoctorReport, getEnvironment } = require("../src/doctor");
+
+const { test, makeInstallation, SAMPLE_CSS } = require("./harness");
+
+console.log("\nRunning doctor unit tests...\n");
+
+function withoutExtDirOverride(fn) {
+  const saved = process.env.CLAUDE_CODE_EXT_DIR;
+  delete process.env.CLAUDE_CODE_EXT_DIR;
+  try {
+    fn();
+  } finally {
+    if (saved !== undefined) process.env.CLAUDE_CODE_EXT_DIR = saved;
+  }
+}
+
+test("probeExtensionDirs: records found, empty and missing roots", (tmpDir) => {
+  withoutExtDirOverride(() => {
+    const extDir = makeInstallation(path.join(tmpDir, ".vscode", "extensions"), "2.0.1");
+    fs.mkdirSync(path.join(tmpDir, ".cursor", "extensions"), { recursive: true });
+
+    const { found, probes } = probeExtensionDirs(tmpDir);
+    assert.deepStrictEqual(found, [extDir]);
+    const byPath = Object.fromEntries(probes.map((p) => [p.path, p.status]));
+    assert.strictEqual(byPath[path.join(tmpDir, ".vscode", "extensions")], "found");
+    assert.strictEqual(byPath[path.join(tmpDir, ".cursor", "extensions")], "empty");
+    assert.strictEqual(byPath[path.join(tmpDir, ".vscode-insiders", "extensions")], "skipped");
+  });
+});
+
+test("probeExtensionDirs: searches VSCodium, Windsurf, Positron, code-server and Flatpak roots", (tmpDir) => {
+  withoutExtDirOverride(() => {
+    const saved = process.env.XDG_DATA_HOME;
+    delete process.env.XDG_DATA_HOME;
+    try {
+      const roots = [
+        [".vscode-oss", "extensions"],
+        [".windsurf", "extensions"],
+        [".positron", "extensions"],
+        [".local", "share", "code-server", "extensions"],
+        [".var", "app", "com.visualstudio.code", ".vscode", "extensions"],
+      ].map((parts) => path.join(tmpDir, ...parts));
+      for (const root of roots) {
+        fs.mkdirSync(path.join(root, "anthropic.claude-code-2.0.1"), { recursive: true });
+      }
+      assert.deepStrictEqual(
+        probeExtensionDirs(tmpDir).found.sort(),
+        roots.map((root) => path.join(root, "anthropic.claude-code-2.0.1")).sort()
+      );
+    } finally {
+      if (saved !== undefined) process.env.XDG_DATA_HOME = saved;
+    }
+  });
+});
+
+test("probeExtensionDirs: finds installs registered in extensions.json", (tmpDir) => {
+  withoutExtDirOverride(() => {
+    const root = path.join(tmpDir, ".vscode", "extensions");
+    const devInstall = path.join(tmpDir, "src", "claude-code");
+    fs.mkdirSync(root, { recursive: true });
+    fs.mkdirSync(devInstall, { recursive: true });
+    fs.writeFileSync(
+      path.join(root, "extensions.json"),
+      JSON.stringify([{ identifier: { id: "anthropic.claude-code" }, location: { path: devInstall } }])
+    );
+    // A symlink to the same install in the root is listed only once
+    fs.symlinkSync(devInstall, path.join(root, "anthropic.claude-code-9.9.9"), "dir");
+
+    const { found, probes } = probeExtensionDirs(tmpDir);
+    assert.deepStrictEqual(found, [path.join(root, "anthropic.claude-code-9.9.9")]);
+    assert(probes[0].reason.includes("registered in extensions.json"));
+  });
+});
+
+function withExtDirOverride(value, fn) {
+  const saved = process.env.CLAUDE_CODE_EXT_DIR;
+  process.env.CLAUDE_CODE_EXT_DIR = value;
+  try {
+    fn();
+  } finally {
+    if (saved === undefined) delete process.env.CLAUDE_CODE_EXT_DIR;
+    else process.env.CLAUDE_CODE_EXT_DIR = saved;
+  }
+}
+
+test("probeExtensionDirs: CLAUDE_CODE_EXT_DIR skips every other root", (tmpDir) => {
+  const extDir = path.join(tmpDir, "anthropic.claude-code-2.0.1");
+  withExtDirOverride(extDir, () => {
+    const { found, probes } = probeExtensionDirs(tmpDir);
+    assert.deepStrictEqual(found, [extDir], "A missing extension folder is still listed");
+    assert(probes.slice(1).every((p) => p.status === "skipped"));
+  });
+});
+
+test("probeExtensionDirs: CLAUDE_CODE_EXT_DIR takes a list of roots and extension folders", (tmpDir) => {
+  const root = path.join(tmpDir, "mounted", "extensions");
+  fs.mkdirSync(root, { recursive: true });
+  fs.mkdirSync(path.join(root, "anthropic.claude-code-2.1.0"));
+  const devInstall = path.join(tmpDir, "checkout");
+  fs.mkdirSync(path.join(devInstall, "webview"), { recursive: true });
+  fs.writeFileSync(path.join(devInstall, "webview", "index.css"), SAMPLE_CSS);
+
+  withExtDirOverride([root, devInstall, path.join(tmpDir, "nowhere")].join(path.delimiter), () => {
+    const { found, probes } = probeExtensionDirs(tmpDir);
+    assert.deepStrictEqual(found, [path.join(root, "anthropic.claude-code-2.1.0"), devInstall]);
+    assert.strictEqual(probes[2].status, "skipped", "A missing root is skipped");
+  });
+});
+
+test("probeExtensionDirs: searches another home directory", (tmpDir) => {
+  withoutExtDirOverride(() => {
+    const otherHome = path.join(tmpDir, "container-home");
+    const extDir = makeInstallation(path.join(otherHome, ".vscode", "extensions"), "2.0.1");
+    const { found, probes } = probeExtensionDirs(otherHome);
+    assert.deepStrictEqual(found, [extDir]);
+    assert(probes.every((p) => p.path.startsWith(otherHome)), "Only roots under that home");
+  });
+});
+
+test("diagnoseInstallation: reports resolved and fallback classes", (tmpDir) => {
+  const extDir = makeInstallation(path.join(tmpDir, ".vscode", "extensions"), "2.0.1");
+  const report = diagnoseInstallation(extDir);
+  assert.strictEqual(report.classes.length, CLASS_PATTERNS.length);
+  const message = report.classes.find((c) => c.name === "message");
+  assert.strictEqual(message.selector, ".message_Abc123");
+  const meta = report.classes.find((c) => c.name === "metaMessage");
+  assert.strictEqual(meta.hash, null);
+  assert.strictEqual(meta.selector, '[class*="metaMessage_"]');
+  assert.strictEqual(report.markers.css.state, "absent");
+  assert.deepStrictEqual(report.backups, []);
+  assert.deepStrictEqual(report.problems, []);
+});
+
+test("diagnoseInstallation: reports the component classification", (tmpDir) => {
+  const extDir = makeInstallation(path.join(tmpDir, ".vscode", "extensions"), "2.0.1");
+  const report = diagnoseInstallation(extDir);
+  const userMessage = report.components.find((c) => c.name === "userMessage");
+  assert.strictEqual(userMessage.kind, "text");
+  const text = formatDoctorReport({ probes: [], installations: [report] }).join("\n");
+  assert(text.includes("Components: 3 text, 0 code, 0 layout"));
+  assert(/text {2}userMessage +name contains "message"/.test(text));
+});
+
+test("diagnoseInstallation: reports patch, backup and manifest state", (tmpDir) => {
+  const extDir = makeInstallation(path.join(tmpDir, ".vscode", "extensions"), "2.0.1");
+  applyPatch(path.join(extDir, "webview", "index.css"));
+  const report = diagnoseInstallation(extDir);
+  assert.strictEqual(report.markers.css.state, "current");
+  assert.strictEqual(report.backups.length, 1);
+  assert.strictEqual(report.manifest.restorePoints, 1);
+  assert.strictEqual(report.manifest.contentMatches, true);
+  assert.strictEqual(report.files.css.writable, true);
+});
+
+test("diagnoseInstallation: does not migrate a legacy patch", (tmpDir) => {
+  const legacy = `${SAMPLE_CSS}\n${LEGACY_MARKER}\n.message_Abc123 {}\n${LEGACY_MARKER}`;
+  const extDir = makeInstallation(path.join(tmpDir, ".vscode", "extensions"), "2.0.1", legacy);
+  const report = diagnoseInstallation(extDir);
+  assert.strictEqual(report.markers.css.legacyFormat, true);
+  assert.strictEqual(report.markers.css.state, "outdated");
+  assert.strictEqual(fs.readFileSync(path.join(extDir, "webview", "index.css"), "utf8"), legacy);
+});
+
+test("diagnoseInstallation: explains a missing message class", (tmpDir) => {
+  const extDir = makeInstallation(path.join(tmpDir, ".vscode", "extensions"), "2.0.1", ".other_X1{color:red}");
+  const report = diagnoseInstallation(extDir);
+  assert(report.problems.some((p) => p.includes("message class was not found")));
+  const text = formatDoctorReport({ probes: [], installations: [report] }).join("\n");
+  assert(text.includes("Classes resolved: 0/14"));
+  assert(text.includes("Problems:"));
+});
+
+test("getEnvironment: reports on the config file given with --config", (tmpDir) => {
+  const configFile = path.join(tmpDir, "rtl.json");
+  fs.writeFileSync(configFile, JSON.stringify({ direction: "sideways" }));
+  const { config } = getEnvironment(tmpDir, configFile);
+  assert.strictEqual(config.path, configFile);
+  assert.strictEqual(config.exists, true);
+  assert.match(config.error, /Invalid config file/);
+});
@@ -0,0 +1,57 @@
+/**
+ * Minimal test harness shared by the unit test files.
+ * Uses Node's built-in assert module — no external test runner needed.
+ *
+ * Each test gets a fresh temporary directory. A summary is printed when the
+ * process exits, and the exit code is set to 1 if anything failed, so every
+ * test file can be run on its own or through test/index.js.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rtl-test-"));
+  try {
+    fn(tmpDir);
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (err) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${err.message}`);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+// Smallest stylesheet the patch recognises, shared by the fixtures below
+const SAMPLE_CSS = `
+.message_Abc123{display:flex}
+.userMessage_Abc123{font-style:italic}
+.timelineMessage_Abc123{padding-left:30px}
+`;
+
+/**
+ * Creates a fake Claude Code installation folder
+ * `<root>/anthropic.claude-code-<version>` and writes `css` to its
+ * webview/index.css. Pass `css = null` to leave the stylesheet out.
+ * Returns the installation directory.
+ */
+function makeInstallation(root, version = "2.0.1", css = SAMPLE_CSS) {
+  const extDir = path.join(root, `anthropic.claude-code-${version}`);
+  fs.mkdirSync(path.join(extDir, "webview"), { recursive: true });
+  if (css !== null) fs.writeFileSync(path.join(extDir, "webview", "index.css"), css);
+  return extDir;
+}
+
+process.on("exit", () => {
+  console.log(`\n  ${passed} passing, ${failed} failing\n`);
+  if (failed > 0) process.exitCode = 1;
+});
+
+module.exports = { test, makeInstallation, SAMPLE_CSS };
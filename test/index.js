@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+/**
+ * Runs every unit test file. See test/harness.js for the summary/exit code.
+ */
+
+require("./patch-rtl.test");
+require("./config.test");
+require("./manifest.test");
+require("./diff.test");
+require("./cli.test");
+require("./doctor.test");
+require("./watch.test");
+require("./prune.test");
+require("./semver.test");
+require("./select.test");
+require("./settings.test");
+require("./classify.test");
+require("./webview-script.test");
+require("./compat.test");
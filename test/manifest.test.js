@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the backup manifest and restore points.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+
+const {
+  MAX_RESTORE_POINTS,
+  sha256,
+  readManifest,
+  recordPatch,
+  verifyKnownContent,
+  restorePoint,
+} = require("../src/manifest");
+
+const { test } = require("./harness");
+
+console.log("\nRunning manifest unit tests...\n");
+
+function patchFile(file, original) {
+  const patched = original + "\n/* patched */";
+  fs.writeFileSync(file, patched);
+  return recordPatch(file, { original, patched, patchVersion: 2 });
+}
+
+test("recordPatch: records checksums, versions and a restore copy", (tmpDir) => {
+  fs.mkdirSync(path.join(tmpDir, "webview"));
+  fs.writeFileSync(path.join(tmpDir, "package.json"), JSON.stringify({ version: "2.0.1" }));
+  const file = path.join(tmpDir, "webview", "index.css");
+
+  const point = patchFile(file, "a{}");
+  assert.strictEqual(point.id, 1);
+  assert.strictEqual(point.extensionVersion, "2.0.1");
+  assert.strictEqual(point.patchVersion, 2);
+  assert.strictEqual(point.originalSha256, sha256("a{}"));
+  assert.strictEqual(point.patchedSha256, sha256(fs.readFileSync(file, "utf8")));
+  assert(point.createdAt && point.updatedAt, "Should record timestamps");
+  assert.strictEqual(fs.readFileSync(path.join(tmpDir, "webview", point.backupFile), "utf8"), "a{}");
+});
+
+test("recordPatch: re-patching the same original reuses its restore point", (tmpDir) => {
+  const file = path.join(tmpDir, "index.css");
+  patchFile(file, "a{}");
+  patchFile(file, "a{}");
+  assert.strictEqual(readManifest(file).restorePoints.length, 1);
+});
+
+test("recordPatch: a new upstream original creates a new restore point", (tmpDir) => {
+  const file = path.join(tmpDir, "index.css");
+  patchFile(file, "a{}");
+  const second = patchFile(file, "b{}");
+  assert.strictEqual(second.id, 2);
+  assert.strictEqual(readManifest(file).restorePoints.length, 2);
+});
+
+test("recordPatch: keeps at most MAX_RESTORE_POINTS per file", (tmpDir) => {
+  const file = path.join(tmpDir, "index.css");
+  for (let i = 0; i < MAX_RESTORE_POINTS + 2; i++) patchFile(file, `a${i}{}`);
+  const points = readManifest(file).restorePoints;
+  assert.strictEqual(points.length, MAX_RESTORE_POINTS);
+  assert.strictEqual(points[0].id, 3, "Oldest points should be dropped");
+  assert.strictEqual(fs.readdirSync(path.join(tmpDir, ".rtl-fix-restore")).length, MAX_RESTORE_POINTS);
+});
+
+test("verifyKnownContent: rejects content we did not write", (tmpDir) => {
+  const file = path.join(tmpDir, "index.css");
+  patchFile(file, "a{}");
+  assert(verifyKnownContent(file, fs.readFileSync(file, "utf8")).ok, "Patched content is known");
+  assert(verifyKnownContent(file, "a{}").ok, "Original content is known");
+  const check = verifyKnownContent(file, "new upstream{}");
+  assert(!check.ok, "Foreign content should be rejected");
+  assert(check.error.includes("has changed since it was last patched"));
+});
+
+test("restorePoint: restores an older original", (tmpDir) => {
+  const file = path.join(tmpDir, "index.css");
+  patchFile(file, "a{}");
+  patchFile(file, "b{}");
+
+  const result = restorePoint(file, 1);
+  assert(result.success, "Restore should succeed");
+  assert.strictEqual(fs.readFileSync(file, "utf8"), "a{}");
+});
+
+test("restorePoint: refuses when the file changed since it was patched", (tmpDir) => {
+  const file = path.join(tmpDir, "index.css");
+  patchFile(file, "a{}");
+  fs.writeFileSync(file, "updated upstream{}");
+
+  const result = restorePoint(file, 1);
+  assert(!result.success, "Restore should be refused");
+  assert(result.error.includes("has changed"));
+  assert.strictEqual(fs.readFileSync(file, "utf8"), "updated upstream{}", "File must be untouched");
+});
+
+test("restorePoint: fails for an unknown id", (tmpDir) => {
+  const file = path.join(tmpDir, "index.css");
+  patchFile(file, "a{}");
+  assert(!restorePoint(file, 42).success);
+});
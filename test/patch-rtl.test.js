@@ -7,45 +7,33 @@
 const assert = require("assert");
 const fs = require("fs");
 const path = require("path");
-const os = require("os");
+const vm = require("vm");
 
 const {
   extractHashSuffix,
   extractClassMap,
   generateRtlCss,
+  hasDirectedBlocks,
+  generateRtlJs,
   applyPatch,
+  applyScriptPatch,
   revertPatch,
+  restorePatch,
   checkPatch,
+  readPatchMeta,
   removePatchContent,
+  migrateLegacyFormat,
+  detectEditor,
+  inspectInstallation,
+  compareVersions,
+  selectActiveInstallations,
+  PATCH_VERSION,
   PATCH_START,
   PATCH_END,
+  LEGACY_MARKER,
 } = require("../src/patch-rtl");
 
-let tmpDir;
-let passed = 0;
-let failed = 0;
-
-function setup() {
-  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rtl-test-"));
-}
-
-function teardown() {
-  fs.rmSync(tmpDir, { recursive: true, force: true });
-}
-
-function test(name, fn) {
-  try {
-    setup();
-    fn();
-    teardown();
-    passed++;
-    console.log(`  ✓ ${name}`);
-  } catch (err) {
-    failed++;
-    console.error(`  ✗ ${name}`);
-    console.error(`    ${err.message}`);
-  }
-}
+const { test, makeInstallation } = require("./harness");
 
 // --- Sample CSS that mimics the Claude Code extension structure ---
 const SAMPLE_CSS = `
@@ -132,9 +120,210 @@ test("generateRtlCss: falls back to attribute selectors for missing classes", ()
   assert(css.includes('[class*="userMessage_"]'), "Should use attribute selector fallback");
 });
 
+test("generateRtlCss: omits rule groups that are switched off", () => {
+  const css = generateRtlCss({ message: "Abc123", timelineMessage: "Abc123" }, {
+    rules: { timeline: false, codeLtr: false },
+  });
+  assert(!css.includes("inset-inline-start"), "Should omit timeline rules");
+  assert(!css.includes("direction: ltr"), "Should omit code LTR rules");
+  assert(css.includes("inputContainer_"), "Should keep input area rules");
+});
+
+test("generateRtlCss: merges extra selectors, spacing and custom CSS", () => {
+  const css = generateRtlCss({ message: "Abc123" }, {
+    extraSelectors: [".toolResult_Zz9"],
+    spacing: { timelinePadding: 40 },
+    customCss: [".custom { color: red; }"],
+  });
+  assert(css.includes(".toolResult_Zz9,"), "Should add extra selector to the auto-direction rule");
+  assert(css.includes("padding-inline-start: 40px"), "Should use configured spacing");
+  const customIdx = css.indexOf(".custom { color: red; }");
+  assert(customIdx !== -1 && customIdx < css.indexOf(PATCH_END), "Custom CSS should be inside the block");
+});
+
+test("generateRtlCss: forced direction replaces auto-detection", () => {
+  const css = generateRtlCss({ message: "Abc123" }, { direction: "rtl" });
+  const rules = css.slice(css.indexOf("\n */\n"));
+  assert(rules.includes("direction: rtl"), "Should force RTL");
+  assert(!rules.includes("unicode-bidi: plaintext"), "Should not auto-detect");
+});
+
+test("generateRtlCss: forced direction keeps code LTR even with codeLtr off", () => {
+  const css = generateRtlCss({ message: "Abc123" }, { direction: "rtl", rules: { codeLtr: false } });
+  const codeRule = css.slice(css.indexOf(".message_Abc123 pre,"));
+  assert(codeRule.includes("direction: ltr"), "Code blocks should stay LTR");
+});
+
+test("generateRtlCss: isolates inline code and keeps pre blocks fully LTR", () => {
+  const css = generateRtlCss({ message: "Abc123" });
+  const preRule = css.slice(css.indexOf(".message_Abc123 pre,"));
+  assert(preRule.slice(0, preRule.indexOf("}")).includes("text-align: left;"), "pre should stay LTR-aligned");
+
+  const inlineRule = css.slice(css.indexOf(".message_Abc123 :not(pre) > code,"));
+  const inlineDecls = inlineRule.slice(0, inlineRule.indexOf("}"));
+  assert(inlineDecls.includes("unicode-bidi: isolate;"), "Inline code should be isolated");
+  assert(!inlineDecls.includes("text-align"), "Inline code should not be aligned");
+  assert(!css.includes(".message_Abc123 code,"), "code should no longer share the pre rule");
+});
+
+test("generateRtlCss: lays out markdown elements with logical properties", () => {
+  const css = generateRtlCss({ message: "Abc123" }, { patchScript: true, spacing: { listIndent: 24 } });
+  assert(css.includes(".message_Abc123 ul,"), "Should cover lists in messages");
+  assert(css.includes('[data-testid="assistant-message"] ol {'), "Should cover assistant messages");
+  assert(css.includes("padding-inline-start: 24px;"), "Should indent lists on the start side");
+  assert(css.includes("border-inline-start: 3px solid"), "Should move blockquote borders");
+  assert(css.includes(".message_Abc123 th,"), "Should align table cells");
+  assert(css.includes(".message_Abc123 h1,"), "Should align headings");
+  assert(css.includes(".message_Abc123 hr"), "Should cover horizontal rules");
+  assert(css.includes('li > input[type="checkbox"]'), "Should place task checkboxes");
+
+  const blockquote = css.slice(css.indexOf('[data-testid="assistant-message"] blockquote {'));
+  assert(
+    blockquote.indexOf("border-left: unset") < blockquote.indexOf("border-inline-start"),
+    "Physical resets must come before the logical declarations"
+  );
+});
+
+test("generateRtlCss: markdown layout needs containers with a direction", () => {
+  // Auto-detection alone never sets the CSS direction logical properties use
+  const css = generateRtlCss({ message: "Abc123" });
+  assert(css.includes(".message_Abc123 blockquote,"), "Text alignment is still generated");
+  assert(!css.includes("border-inline-start"), "Should omit the logical layout rules");
+  assert(!css.includes(".message_Abc123 ul,"), "Should leave list indentation alone");
+  for (const config of [{ direction: "rtl" }, { layout: "mirror" }, { patchScript: true }]) {
+    assert(generateRtlCss({ message: "Abc123" }, config).includes("border-inline-start"), JSON.stringify(config));
+  }
+});
+
+test("generateRtlCss: leaves the alignment of text components alone", (tmpDir) => {
+  const cssFile = path.join(tmpDir, "index.css");
+  fs.writeFileSync(cssFile, ".message_Abc123{display:flex}\n.welcomeTitle_Ab12c{text-align:center}\n");
+  assert(applyPatch(cssFile).success);
+  const css = fs.readFileSync(cssFile, "utf8");
+  const rule = css.slice(css.indexOf("/* Auto-detected text components */"));
+  assert(rule.startsWith("/* Auto-detected text components */\n.welcomeTitle_Ab12c {"));
+  assert(!rule.slice(0, rule.indexOf("}")).includes("text-align"), "Centered titles stay centered");
+
+  const forced = generateRtlCss({}, { direction: "rtl" }, [{ name: "welcomeTitle", hash: "Ab12c", kind: "text" }]);
+  const forcedRule = forced.slice(forced.indexOf("/* Auto-detected text components */"));
+  assert(!forcedRule.slice(0, forcedRule.indexOf("}")).includes("text-align"));
+});
+
+test("generateRtlCss: keeps code inside text components LTR", () => {
+  const components = [{ name: "toolResult", hash: "Qq12x", kind: "text" }];
+  const css = generateRtlCss({ message: "Abc123" }, { direction: "rtl" }, components);
+  const preRule = css.slice(css.indexOf("/* Preserve code blocks"));
+  assert(preRule.slice(0, preRule.indexOf("}")).includes(".toolResult_Qq12x pre,\n.toolResult_Qq12x pre code {"));
+  const inlineRule = css.slice(css.indexOf("/* Isolate inline code"));
+  assert(inlineRule.slice(0, inlineRule.indexOf("}")).includes(".toolResult_Qq12x :not(pre) > code {"));
+
+  const off = generateRtlCss({ message: "Abc123" }, { direction: "rtl", rules: { components: false } }, components);
+  assert(!off.includes("toolResult"), "Only when the components group is on");
+});
+
+test("hasDirectedBlocks: only the defaults leave markdown blocks without a direction", () => {
+  assert.strictEqual(hasDirectedBlocks({}), false);
+  assert.strictEqual(hasDirectedBlocks({ direction: "rtl" }), true);
+  assert.strictEqual(hasDirectedBlocks({ layout: "mirror" }), true);
+  assert.strictEqual(hasDirectedBlocks({ patchScript: true }), true);
+});
+
+test("generateRtlCss: markdown rules can be switched off", () => {
+  const css = generateRtlCss({ message: "Abc123" }, { rules: { markdown: false } });
+  assert(!css.includes("blockquote"), "Should omit markdown rules");
+});
+
+test("generateRtlCss: covers discovered text and code components", () => {
+  const components = [
+    { name: "thinkingBlock", hash: "Qq12x", kind: "text" },
+    { name: "terminalOutput", hash: "Qq12x", kind: "code" },
+    { name: "iconButton", hash: "Qq12x", kind: "layout" },
+    { name: "message", hash: "Abc123", kind: "text" },
+  ];
+  const css = generateRtlCss({ message: "Abc123" }, {}, components);
+  const textRule = css.slice(css.indexOf("/* Auto-detected text components */"));
+  assert(textRule.startsWith("/* Auto-detected text components */\n.thinkingBlock_Qq12x {"));
+  assert(css.includes(".terminalOutput_Qq12x {\n  unicode-bidi: isolate;\n  direction: ltr;"));
+  assert(!css.includes("iconButton"), "Layout components are left alone");
+
+  const off = generateRtlCss({ message: "Abc123" }, { rules: { components: false } }, components);
+  assert(!off.includes("thinkingBlock"), "Should omit components when switched off");
+});
+
+test("applyPatch: covers components found in the stylesheet", (tmpDir) => {
+  const cssFile = path.join(tmpDir, "index.css");
+  fs.writeFileSync(cssFile, `${SAMPLE_CSS}\n.permissionPrompt_Abc123{font-size:13px}\n`);
+  assert(applyPatch(cssFile).success);
+  assert(fs.readFileSync(cssFile, "utf8").includes(".permissionPrompt_Abc123 {"));
+  assert.strictEqual(checkPatch(cssFile, { config: {} }), "current");
+});
+
+test("generateRtlCss: mirror layout flips the chat chrome but keeps code LTR", () => {
+  const components = [{ name: "terminalOutput", hash: "Qq12x", kind: "code" }];
+  const css = generateRtlCss(
+    { message: "Abc123", chatContainer: "Abc123" },
+    { layout: "mirror", rules: { timeline: false, codeLtr: false } },
+    components
+  );
+  assert(css.includes(".chatContainer_Abc123,\n"), "Should target the chat container");
+  const chrome = css.slice(css.indexOf("/* Mirror layout: lay out"));
+  assert(chrome.slice(0, chrome.indexOf("}")).includes("direction: rtl;"));
+  assert(css.includes("scale: -1 1;"), "Should flip chevrons");
+  assert(/\) \.terminalOutput_Qq12x \{\n {2}direction: ltr;/.test(css), "Code components stay LTR");
+  assert(css.includes(".message_Abc123 pre,"), "Code stays LTR even with codeLtr off");
+  assert(css.includes("inset-inline-start"), "The timeline rail moves along");
+});
+
+test("generateRtlCss: layout defaults to text only", () => {
+  const css = generateRtlCss({ message: "Abc123", chatContainer: "Abc123" });
+  assert(!css.includes("Mirror layout"));
+});
+
+test("generateRtlCss: typography is off by default", () => {
+  const css = generateRtlCss({ message: "Abc123" });
+  assert(!css.includes("@font-face"), "Should not emit font faces");
+  assert(!css.includes("letter-spacing"), "Should not touch letter-spacing");
+});
+
+test("generateRtlCss: typography emits per-script font faces and RTL text rules", () => {
+  const css = generateRtlCss({ message: "Abc123" }, {
+    patchScript: true,
+    rules: { typography: true },
+    typography: { lineHeight: 1.9, fonts: { hebrew: ["David"], arabic: ["Amiri"], persian: [] } },
+  });
+  assert(css.includes('font-family: "RTL Fix Hebrew";'), "Should define a Hebrew face");
+  assert(css.includes('src: local("David"), local("David Regular");'), "Should use local fonts");
+  assert(css.includes('local("Amiri Bold")'), "Should define a bold face");
+  assert(css.includes("unicode-range: U+0590-05FF"), "Should limit the Hebrew face to Hebrew");
+  assert(!css.includes("RTL Fix Persian"), "Should skip scripts without fonts");
+  assert(
+    css.includes('font-family: "RTL Fix Arabic", "RTL Fix Hebrew", var(--vscode-font-family)'),
+    "Should put the script faces before the editor font"
+  );
+  assert(css.includes(".message_Abc123 :dir(rtl):not(pre, code)"), "Should target RTL text");
+  assert(css.includes("line-height: 1.9;"), "Should use the configured line-height");
+  assert(css.includes("letter-spacing: normal;"), "Should reset letter-spacing");
+});
+
+test("generateRtlCss: typography follows a forced direction", () => {
+  const rtl = generateRtlCss({ message: "Abc123" }, { direction: "rtl", rules: { typography: true } });
+  assert(!rtl.includes(":dir(rtl)"), "Forced RTL applies to every container");
+  assert(rtl.includes("letter-spacing: normal;"));
+  const ltr = generateRtlCss({ message: "Abc123" }, { direction: "ltr", rules: { typography: true } });
+  assert(ltr.includes("@font-face"), "Fonts still apply to RTL words in LTR messages");
+  assert(!ltr.includes("letter-spacing"), "No RTL text to adjust when LTR is forced");
+});
+
+test("generateRtlCss: auto typography only targets RTL text with the script patch", () => {
+  const css = generateRtlCss({ message: "Abc123" }, { rules: { typography: true } });
+  assert(css.includes("@font-face"), "Fonts do not need dir attributes");
+  assert(!css.includes(":dir(rtl)"), "Nothing would match :dir(rtl) without dir attributes");
+  assert(!css.includes("letter-spacing"));
+});
+
 // --- applyPatch ---
 
-test("applyPatch: patches a CSS file successfully", () => {
+test("applyPatch: patches a CSS file successfully", (tmpDir) => {
   const cssFile = path.join(tmpDir, "index.css");
   fs.writeFileSync(cssFile, SAMPLE_CSS);
 
@@ -149,7 +338,7 @@ test("applyPatch: patches a CSS file successfully", () => {
   assert(patched.includes("unicode-bidi: plaintext"), "Should include RTL CSS");
 });
 
-test("applyPatch: is idempotent (re-applying replaces existing patch)", () => {
+test("applyPatch: is idempotent (re-applying replaces existing patch)", (tmpDir) => {
   const cssFile = path.join(tmpDir, "index.css");
   fs.writeFileSync(cssFile, SAMPLE_CSS);
 
@@ -165,13 +354,44 @@ test("applyPatch: is idempotent (re-applying replaces existing patch)", () => {
   assert.strictEqual(secondCount, 1, "Second patch should still have only one marker");
 });
 
+test("applyPatch: uses the config passed in options", (tmpDir) => {
+  const cssFile = path.join(tmpDir, "index.css");
+  fs.writeFileSync(cssFile, SAMPLE_CSS);
+
+  const result = applyPatch(cssFile, { config: { rules: { inputArea: false } } });
+  assert(result.success, "Patch should succeed");
+  assert(!fs.readFileSync(cssFile, "utf8").includes("inputContainer_"), "Should omit input rules");
+});
+
+test("applyPatch: dry run returns a diff and writes nothing", (tmpDir) => {
+  const cssFile = path.join(tmpDir, "index.css");
+  fs.writeFileSync(cssFile, SAMPLE_CSS);
+
+  const result = applyPatch(cssFile, { dryRun: true });
+  assert(result.success && result.dryRun, "Dry run should succeed");
+  assert.strictEqual(result.classMap.message, "Abc123");
+  assert(result.diff.includes(`+${PATCH_START}`), "Diff should add the patch block");
+  assert.strictEqual(fs.readFileSync(cssFile, "utf8"), SAMPLE_CSS, "File must be unchanged");
+  assert.deepStrictEqual(fs.readdirSync(tmpDir), ["index.css"], "No backup or manifest");
+});
+
+test("applyPatch: re-applying the same patch is byte-for-byte stable", (tmpDir) => {
+  const cssFile = path.join(tmpDir, "index.css");
+  fs.writeFileSync(cssFile, SAMPLE_CSS + "\n");
+  applyPatch(cssFile);
+  const first = fs.readFileSync(cssFile, "utf8");
+  assert.strictEqual(applyPatch(cssFile, { dryRun: true }).diff, "", "Dry run should show no changes");
+  applyPatch(cssFile);
+  assert.strictEqual(fs.readFileSync(cssFile, "utf8"), first);
+});
+
 test("applyPatch: returns error for missing file", () => {
   const result = applyPatch("/nonexistent/path/index.css");
   assert(!result.success, "Should fail for missing file");
   assert(result.error.includes("not found"), "Error should mention not found");
 });
 
-test("applyPatch: returns error for unrecognized CSS", () => {
+test("applyPatch: returns error for unrecognized CSS", (tmpDir) => {
   const cssFile = path.join(tmpDir, "index.css");
   fs.writeFileSync(cssFile, ".foo{color:red}");
 
@@ -181,12 +401,12 @@ test("applyPatch: returns error for unrecognized CSS", () => {
 
 // --- revertPatch ---
 
-test("revertPatch: restores from backup", () => {
+test("revertPatch: restores from backup", (tmpDir) => {
   const cssFile = path.join(tmpDir, "index.css");
   fs.writeFileSync(cssFile, SAMPLE_CSS);
 
   applyPatch(cssFile);
-  assert(checkPatch(cssFile), "Should be patched");
+  assert.strictEqual(checkPatch(cssFile), "current", "Should be patched");
 
   const result = revertPatch(cssFile);
   assert(result.success, "Revert should succeed");
@@ -198,7 +418,7 @@ test("revertPatch: restores from backup", () => {
   assert.strictEqual(restored, SAMPLE_CSS, "Restored content should match original");
 });
 
-test("revertPatch: strips markers when no backup exists", () => {
+test("revertPatch: strips markers when no backup exists", (tmpDir) => {
   const cssFile = path.join(tmpDir, "index.css");
   fs.writeFileSync(cssFile, SAMPLE_CSS);
 
@@ -214,7 +434,47 @@ test("revertPatch: strips markers when no backup exists", () => {
   assert(!restored.includes(PATCH_START), "Should not contain patch markers");
 });
 
-test("revertPatch: returns error when nothing to revert", () => {
+test("revertPatch: does not restore a stale backup over updated upstream CSS", (tmpDir) => {
+  const cssFile = path.join(tmpDir, "index.css");
+  fs.writeFileSync(cssFile, SAMPLE_CSS);
+  applyPatch(cssFile);
+
+  // Claude Code rewrites its CSS in place during an update
+  const updated = SAMPLE_CSS.replace("padding:8px 0", "padding:10px 0");
+  fs.writeFileSync(cssFile, updated);
+
+  const result = revertPatch(cssFile);
+  assert(!result.success, "Revert should refuse");
+  assert.strictEqual(fs.readFileSync(cssFile, "utf8"), updated, "Updated CSS must be kept");
+});
+
+test("applyPatch: refreshes the backup when upstream CSS changed", (tmpDir) => {
+  const cssFile = path.join(tmpDir, "index.css");
+  fs.writeFileSync(cssFile, SAMPLE_CSS);
+  applyPatch(cssFile);
+
+  const updated = SAMPLE_CSS.replace("padding:8px 0", "padding:10px 0");
+  fs.writeFileSync(cssFile, updated);
+  const result = applyPatch(cssFile);
+
+  assert.strictEqual(fs.readFileSync(result.backupPath, "utf8"), updated, "Backup should be refreshed");
+  assert.strictEqual(result.restorePoint.id, 2, "Should create a new restore point");
+  assert(revertPatch(cssFile).success);
+  assert.strictEqual(fs.readFileSync(cssFile, "utf8"), updated);
+});
+
+test("restorePatch: restores a restore point and drops the stale backup", (tmpDir) => {
+  const cssFile = path.join(tmpDir, "index.css");
+  fs.writeFileSync(cssFile, SAMPLE_CSS);
+  const { restorePoint } = applyPatch(cssFile);
+
+  const result = restorePatch(cssFile, restorePoint.id);
+  assert(result.success, "Restore should succeed");
+  assert.strictEqual(fs.readFileSync(cssFile, "utf8"), SAMPLE_CSS);
+  assert(!fs.existsSync(cssFile + ".rtl-backup"), "Backup should be removed");
+});
+
+test("revertPatch: returns error when nothing to revert", (tmpDir) => {
   const cssFile = path.join(tmpDir, "index.css");
   fs.writeFileSync(cssFile, SAMPLE_CSS);
 
@@ -224,21 +484,120 @@ test("revertPatch: returns error when nothing to revert", () => {
 
 // --- checkPatch ---
 
-test("checkPatch: returns false for unpatched file", () => {
+test("checkPatch: returns absent for unpatched file", (tmpDir) => {
   const cssFile = path.join(tmpDir, "index.css");
   fs.writeFileSync(cssFile, SAMPLE_CSS);
-  assert(!checkPatch(cssFile), "Should not be patched");
+  assert.strictEqual(checkPatch(cssFile), "absent");
 });
 
-test("checkPatch: returns true for patched file", () => {
+test("checkPatch: returns current for patched file", (tmpDir) => {
   const cssFile = path.join(tmpDir, "index.css");
   fs.writeFileSync(cssFile, SAMPLE_CSS);
   applyPatch(cssFile);
-  assert(checkPatch(cssFile), "Should be patched");
+  assert.strictEqual(checkPatch(cssFile), "current");
 });
 
-test("checkPatch: returns false for nonexistent file", () => {
-  assert(!checkPatch("/nonexistent/file.css"), "Should return false");
+test("checkPatch: returns absent for nonexistent file", () => {
+  assert.strictEqual(checkPatch("/nonexistent/file.css"), "absent");
+});
+
+test("checkPatch: reports a patch from an older version as outdated", (tmpDir) => {
+  const cssFile = path.join(tmpDir, "index.css");
+  fs.writeFileSync(cssFile, SAMPLE_CSS);
+  applyPatch(cssFile);
+  const content = fs.readFileSync(cssFile, "utf8");
+  fs.writeFileSync(cssFile, content.replace(/version=\d+/, "version=2"));
+  assert.strictEqual(checkPatch(cssFile), "outdated");
+
+  applyPatch(cssFile);
+  assert.strictEqual(checkPatch(cssFile), "current", "Re-applying should upgrade");
+});
+
+test("checkPatch: reports a hand-edited patch as outdated", (tmpDir) => {
+  const cssFile = path.join(tmpDir, "index.css");
+  fs.writeFileSync(cssFile, SAMPLE_CSS);
+  applyPatch(cssFile);
+  const content = fs.readFileSync(cssFile, "utf8");
+  fs.writeFileSync(cssFile, content.replace("text-align: start;", "text-align: right;"));
+  assert.strictEqual(checkPatch(cssFile), "outdated");
+});
+
+test("checkPatch: reports a patch generated with another config as outdated", (tmpDir) => {
+  const cssFile = path.join(tmpDir, "index.css");
+  fs.writeFileSync(cssFile, SAMPLE_CSS);
+  applyPatch(cssFile, { config: { direction: "rtl" } });
+  assert.strictEqual(checkPatch(cssFile, { config: { direction: "rtl" } }), "current");
+  assert.strictEqual(checkPatch(cssFile, { config: {} }), "outdated");
+});
+
+test("readPatchMeta: reads the version and hash from the block", () => {
+  const css = generateRtlCss({ message: "Abc123" });
+  const meta = readPatchMeta(`${SAMPLE_CSS}\n${css}`);
+  assert.strictEqual(meta.version, PATCH_VERSION);
+  assert.match(meta.sha256, /^[0-9a-f]{64}$/);
+  assert.strictEqual(meta.intact, true);
+  assert.strictEqual(readPatchMeta(SAMPLE_CSS), null);
+});
+
+// --- Webview script patch ---
+
+const SAMPLE_JS = `(()=>{console.log("webview")})();\n//# sourceMappingURL=index.js.map`;
+
+test("generateRtlJs: produces a syntactically valid marked script", () => {
+  const js = generateRtlJs(extractClassMap(SAMPLE_CSS));
+  assert(js.startsWith(PATCH_START) && js.endsWith(PATCH_END), "Should be wrapped in markers");
+  assert(js.includes(".message_Abc123 li"), "Should target list items in messages");
+  assert(js.includes('"dir": "auto"'), "Should set dir=auto by default");
+  new vm.Script(js); // throws on syntax errors
+});
+
+test("generateRtlJs: uses the forced direction", () => {
+  const js = generateRtlJs({}, { direction: "rtl" });
+  assert(js.includes('"dir": "rtl"'), "Should set dir=rtl");
+});
+
+test("generateRtlCss: lets a toggled prompt direction win over auto-detection", () => {
+  const css = generateRtlCss({ message: "Abc123" }, { patchScript: true });
+  const rule = css.slice(css.indexOf('[class*="inputContainer_"] textarea[dir="rtl"],'));
+  assert(rule.includes("direction: rtl;\n  unicode-bidi: isolate;"));
+  assert(!generateRtlCss({ message: "Abc123" }).includes('[dir="rtl"]'), "Only with the script patch");
+});
+
+test("generateRtlCss: per-message direction overrides outrank the message rules", () => {
+  const css = generateRtlCss({ message: "Abc123" }, { patchScript: true });
+  const rule = css.slice(css.indexOf('.message_Abc123[data-rtl-fix-dir="rtl"],'));
+  assert(rule.includes("direction: rtl;\n  unicode-bidi: isolate;"));
+  assert(css.includes('.message_Abc123[data-rtl-fix-dir="ltr"] :is(p, li, span, div,'));
+  assert(css.includes("blockquote, th, td):not(pre *, code *) {"), "Lines inside code blocks are left alone");
+  assert(css.includes('[data-testid="assistant-message"][data-rtl-fix-dir="auto"] {\n  unicode-bidi: plaintext;'));
+  assert(!generateRtlCss({ message: "Abc123" }).includes("data-rtl-fix-dir"), "Only with the script patch");
+});
+
+test("generateRtlJs: adds the hover control to messages", () => {
+  const js = generateRtlJs({ message: "Abc123" });
+  assert(js.includes('"toggles": ".message_Abc123, [data-testid=\\"assistant-message\\"]"'));
+});
+
+test("applyScriptPatch: patches and reverts the webview bundle", (tmpDir) => {
+  const jsFile = path.join(tmpDir, "index.js");
+  fs.writeFileSync(jsFile, SAMPLE_JS);
+
+  const result = applyScriptPatch(jsFile, { classMap: { message: "Abc123" } });
+  assert(result.success, "Script patch should succeed");
+  assert.strictEqual(checkPatch(jsFile), "current", "Should detect the script patch");
+  assert(fs.existsSync(jsFile + ".rtl-backup"), "Should create backup");
+
+  applyScriptPatch(jsFile);
+  const patched = fs.readFileSync(jsFile, "utf8");
+  assert.strictEqual(patched.split(PATCH_START).length, 2, "Re-applying should not duplicate");
+
+  assert(revertPatch(jsFile).success, "Revert should succeed");
+  assert.strictEqual(fs.readFileSync(jsFile, "utf8"), SAMPLE_JS, "Should restore original bundle");
+});
+
+test("applyScriptPatch: returns error for missing bundle", (tmpDir) => {
+  const result = applyScriptPatch(path.join(tmpDir, "index.js"));
+  assert(!result.success, "Should fail for missing bundle");
 });
 
 // --- removePatchContent ---
@@ -255,6 +614,189 @@ test("removePatchContent: is no-op when no patch markers", () => {
   assert.strictEqual(removePatchContent(css), css, "Should return input unchanged");
 });
 
+// --- Legacy format (standalone fix-rtl.js 1.0) ---
+
+const LEGACY_PATCHED = `${SAMPLE_CSS}\n${LEGACY_MARKER}\n.message_Abc123 { unicode-bidi: plaintext; }\n${LEGACY_MARKER}`;
+
+test("removePatchContent: strips legacy marker pairs", () => {
+  assert.strictEqual(removePatchContent(LEGACY_PATCHED), SAMPLE_CSS);
+});
+
+test("removePatchContent: strips an unterminated legacy block to the end", () => {
+  const css = `${SAMPLE_CSS}\n${LEGACY_MARKER}\n.message_Abc123 { unicode-bidi: plaintext; }`;
+  assert.strictEqual(removePatchContent(css), SAMPLE_CSS);
+});
+
+test("migrateLegacyFormat: converts markers and renames the .bak backup", (tmpDir) => {
+  const cssFile = path.join(tmpDir, "index.css");
+  fs.writeFileSync(cssFile, LEGACY_PATCHED);
+  fs.writeFileSync(cssFile + ".bak", SAMPLE_CSS);
+
+  const changes = migrateLegacyFormat(cssFile);
+  assert.strictEqual(changes.length, 2, "Should report both migrations");
+
+  const migrated = fs.readFileSync(cssFile, "utf8");
+  assert(!migrated.includes(LEGACY_MARKER), "Legacy markers should be gone");
+  assert(migrated.includes(PATCH_START) && migrated.includes(PATCH_END), "Should use current markers");
+  assert(migrated.includes(".message_Abc123 { unicode-bidi: plaintext; }"), "Should keep patch content");
+  assert(!fs.existsSync(cssFile + ".bak"), "Legacy backup should be renamed");
+  assert.strictEqual(fs.readFileSync(cssFile + ".rtl-backup", "utf8"), SAMPLE_CSS);
+});
+
+test("checkPatch: detects and migrates a legacy patch", (tmpDir) => {
+  const cssFile = path.join(tmpDir, "index.css");
+  fs.writeFileSync(cssFile, LEGACY_PATCHED);
+  assert.strictEqual(checkPatch(cssFile), "outdated", "Legacy patch should count as outdated");
+  assert(fs.readFileSync(cssFile, "utf8").includes(PATCH_START), "Should be migrated");
+});
+
+test("applyPatch: replaces a legacy patch with the current one", (tmpDir) => {
+  const cssFile = path.join(tmpDir, "index.css");
+  fs.writeFileSync(cssFile, LEGACY_PATCHED);
+  fs.writeFileSync(cssFile + ".bak", SAMPLE_CSS);
+
+  const result = applyPatch(cssFile);
+  assert(result.success, "Patch should succeed");
+  const patched = fs.readFileSync(cssFile, "utf8");
+  assert.strictEqual(patched.split(PATCH_START).length, 2, "Should contain exactly one block");
+  assert(!patched.includes(LEGACY_MARKER), "Legacy block should be gone");
+  assert.strictEqual(fs.readFileSync(result.backupPath, "utf8"), SAMPLE_CSS);
+});
+
+test("revertPatch: restores a legacy patch from its .bak backup", (tmpDir) => {
+  const cssFile = path.join(tmpDir, "index.css");
+  fs.writeFileSync(cssFile, LEGACY_PATCHED);
+  fs.writeFileSync(cssFile + ".bak", SAMPLE_CSS);
+
+  const result = revertPatch(cssFile);
+  assert(result.success && result.method === "backup", "Should restore from the migrated backup");
+  assert.strictEqual(fs.readFileSync(cssFile, "utf8"), SAMPLE_CSS);
+  assert(!fs.existsSync(cssFile + ".bak") && !fs.existsSync(cssFile + ".rtl-backup"));
+});
+
+test("revertPatch: dry run returns a diff and writes nothing", (tmpDir) => {
+  const cssFile = path.join(tmpDir, "index.css");
+  fs.writeFileSync(cssFile, LEGACY_PATCHED);
+  fs.writeFileSync(cssFile + ".bak", SAMPLE_CSS);
+
+  const result = revertPatch(cssFile, { dryRun: true });
+  assert(result.success && result.dryRun, "Dry run should succeed");
+  assert.strictEqual(result.method, "backup", "Should use the (legacy) backup");
+  assert(result.diff.includes(`-${LEGACY_MARKER}`), "Diff should remove the patch");
+  assert(result.migrated[0].startsWith("Would rename"), "Should report planned migration");
+  assert.strictEqual(fs.readFileSync(cssFile, "utf8"), LEGACY_PATCHED, "File must be unchanged");
+  assert(fs.existsSync(cssFile + ".bak"), "Legacy backup must stay in place");
+});
+
+// --- inspectInstallation / detectEditor ---
+
+test("detectEditor: recognises editor flavours from the path", () => {
+  const ext = "extensions/anthropic.claude-code-2.0.1";
+  assert.strictEqual(detectEditor(`/home/u/.vscode/${ext}`), "code");
+  assert.strictEqual(detectEditor(`/home/u/.vscode-insiders/${ext}`), "insiders");
+  assert.strictEqual(detectEditor(`/home/u/.cursor/${ext}`), "cursor");
+  assert.strictEqual(detectEditor(`/home/u/.vscode-server/${ext}`), "server");
+  assert.strictEqual(detectEditor(`/mnt/c/Users/u/.vscode/${ext}`), "wsl");
+  assert.strictEqual(detectEditor(`/home/u/.vscode-oss/${ext}`), "vscodium");
+  assert.strictEqual(detectEditor(`/home/u/.windsurf/${ext}`), "windsurf");
+  assert.strictEqual(detectEditor(`/home/u/.positron/${ext}`), "positron");
+  assert.strictEqual(detectEditor(`/home/u/.local/share/code-server/${ext}`), "code-server");
+  assert.strictEqual(detectEditor(`/home/u/.var/app/com.visualstudio.code/.vscode/${ext}`), "code");
+  assert.strictEqual(detectEditor("C:\\Users\\u\\.vscode\\" + ext.replace("/", "\\")), "code");
+  assert.strictEqual(detectEditor(`/opt/${ext}`), "unknown");
+});
+
+test("inspectInstallation: reports an unpatched installation", (tmpDir) => {
+  const extDir = makeInstallation(path.join(tmpDir, ".vscode", "extensions"), "2.0.1", SAMPLE_CSS);
+  const info = inspectInstallation(extDir);
+  assert.strictEqual(info.version, "2.0.1");
+  assert.strictEqual(info.editor, "code");
+  assert.strictEqual(info.state, "absent");
+  assert.strictEqual(info.patched, false);
+  assert.strictEqual(info.backup, false);
+  assert.strictEqual(info.classMap.message, "Abc123");
+  assert.strictEqual(info.error, null);
+});
+
+test("inspectInstallation: reports a current patch with its version", (tmpDir) => {
+  const extDir = makeInstallation(path.join(tmpDir, ".vscode", "extensions"), "2.0.1", SAMPLE_CSS);
+  applyPatch(path.join(extDir, "webview", "index.css"));
+  const info = inspectInstallation(extDir);
+  assert.strictEqual(info.state, "current");
+  assert.strictEqual(info.patchVersion, PATCH_VERSION);
+  assert.strictEqual(info.backup, true);
+});
+
+test("inspectInstallation: reports a legacy patch as outdated", (tmpDir) => {
+  const extDir = makeInstallation(path.join(tmpDir, ".vscode", "extensions"), "2.0.1", LEGACY_PATCHED);
+  const info = inspectInstallation(extDir);
+  assert.strictEqual(info.state, "outdated");
+  assert.strictEqual(info.patchVersion, 1);
+});
+
+test("inspectInstallation: reports a missing CSS file as an error", (tmpDir) => {
+  const extDir = path.join(tmpDir, "anthropic.claude-code-2.0.1");
+  fs.mkdirSync(extDir);
+  const info = inspectInstallation(extDir);
+  assert.strictEqual(info.state, "absent");
+  assert(info.error.includes("CSS file not found"));
+});
+
+// --- compareVersions / selectActiveInstallations ---
+
+test("compareVersions: compares numeric parts and ignores platform suffixes", () => {
+  assert(compareVersions("2.0.10", "2.0.9") > 0);
+  assert(compareVersions("2.0.9-darwin-arm64", "2.0.10-darwin-arm64") < 0);
+  assert.strictEqual(compareVersions("2.0", "2.0.0"), 0);
+});
+
+test("selectActiveInstallations: picks the highest version per root", (tmpDir) => {
+  const a = path.join(tmpDir, "a");
+  const b = path.join(tmpDir, "b");
+  const dirs = [
+    makeInstallation(a, "2.0.9"),
+    makeInstallation(a, "2.0.10"),
+    makeInstallation(b, "1.5.0"),
+  ];
+  assert.deepStrictEqual(selectActiveInstallations(dirs), [dirs[1], dirs[2]]);
+});
+
+test("selectActiveInstallations: skips folders listed in .obsolete", (tmpDir) => {
+  const dirs = [makeInstallation(tmpDir, "2.0.9"), makeInstallation(tmpDir, "2.0.10")];
+  fs.writeFileSync(
+    path.join(tmpDir, ".obsolete"),
+    JSON.stringify({ "anthropic.claude-code-2.0.10": true })
+  );
+  assert.deepStrictEqual(selectActiveInstallations(dirs), [dirs[0]]);
+});
+
+test("selectActiveInstallations: prefers the extensions.json registry", (tmpDir) => {
+  const dirs = [makeInstallation(tmpDir, "2.0.9"), makeInstallation(tmpDir, "2.0.10")];
+  fs.writeFileSync(
+    path.join(tmpDir, "extensions.json"),
+    JSON.stringify([
+      { identifier: { id: "other.ext" }, relativeLocation: "other.ext-1.0.0" },
+      {
+        identifier: { id: "Anthropic.claude-code" },
+        location: { path: path.join(tmpDir, "anthropic.claude-code-2.0.9") },
+      },
+    ])
+  );
+  assert.deepStrictEqual(selectActiveInstallations(dirs), [dirs[0]]);
+});
+
+test("selectActiveInstallations: a root registering an install elsewhere has no active folder", (tmpDir) => {
+  const root = path.join(tmpDir, "ext");
+  const devInstall = path.join(tmpDir, "dev", "claude-code");
+  fs.mkdirSync(devInstall, { recursive: true });
+  const dirs = [makeInstallation(root, "2.0.9"), devInstall];
+  fs.writeFileSync(
+    path.join(root, "extensions.json"),
+    JSON.stringify([{ identifier: { id: "anthropic.claude-code" }, location: { fsPath: devInstall } }])
+  );
+  assert.deepStrictEqual(selectActiveInstallations(dirs), [devInstall]);
+});
+
 // --- Integration: patch works on real extension CSS ---
 
 test("integration: patch works on actual Claude Code CSS if available", () => {
@@ -281,6 +823,3 @@ test("integration: patch works on actual Claude Code CSS if available", () => {
   assert(rtlCss.includes(`.message_${classMap.message}`), "Should reference real hash");
 });
 
-// --- Summary ---
-console.log(`\n  ${passed} passing, ${failed} failing\n`);
-process.exit(failed > 0 ? 1 : 0);
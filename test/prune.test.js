@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for --prune.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+
+const { applyPatch, selectActiveInstallations } = require("../src/patch-rtl");
+const { findPruneTargets, pruneArtifacts } = require("../src/prune");
+
+const { test, makeInstallation, SAMPLE_CSS } = require("./harness");
+
+console.log("\nRunning prune unit tests...\n");
+
+test("findPruneTargets: reports every artifact in stale versions", (tmpDir) => {
+  const stale = makeInstallation(tmpDir, "2.0.9");
+  const active = makeInstallation(tmpDir, "2.0.10");
+  applyPatch(path.join(stale, "webview", "index.css"));
+  applyPatch(path.join(active, "webview", "index.css"));
+
+  const targets = findPruneTargets([stale, active]);
+  assert.deepStrictEqual(
+    targets.map((t) => [t.version, t.active]),
+    [["2.0.9", false], ["2.0.10", true]]
+  );
+  assert.deepStrictEqual(
+    targets[0].artifacts.map((a) => a.kind).sort(),
+    ["backup", "manifest", "restore points"]
+  );
+  assert.deepStrictEqual(targets[1].artifacts, [], "A patched active version has nothing to prune");
+});
+
+test("findPruneTargets: a filtered list keeps the active versions of the full list", (tmpDir) => {
+  const stale = makeInstallation(tmpDir, "2.0.9");
+  const active = makeInstallation(tmpDir, "2.0.10");
+  applyPatch(path.join(stale, "webview", "index.css"));
+
+  const [target] = findPruneTargets([stale], selectActiveInstallations([stale, active]));
+  assert.strictEqual(target.active, false, "The newest filtered version is not the active one");
+  assert(target.artifacts.some((a) => a.kind === "manifest"));
+});
+
+test("findPruneTargets: reports orphaned backups in the active version", (tmpDir) => {
+  const active = makeInstallation(tmpDir, "2.0.10");
+  const cssFile = path.join(active, "webview", "index.css");
+  fs.writeFileSync(cssFile + ".rtl-backup", SAMPLE_CSS);
+  fs.writeFileSync(cssFile + ".bak", SAMPLE_CSS);
+
+  const [target] = findPruneTargets([active]);
+  assert.deepStrictEqual(target.artifacts.map((a) => a.kind), ["backup", "legacy backup"]);
+});
+
+test("pruneArtifacts: removes only our artifacts", (tmpDir) => {
+  const stale = makeInstallation(tmpDir, "2.0.9");
+  const active = makeInstallation(tmpDir, "2.0.10");
+  applyPatch(path.join(stale, "webview", "index.css"));
+
+  const { removed, errors } = pruneArtifacts(findPruneTargets([stale, active]));
+  assert.strictEqual(removed.length, 3);
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(fs.readdirSync(path.join(stale, "webview")), ["index.css"]);
+});
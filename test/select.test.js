@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for installation filters and the picker's answer parsing.
+ */
+
+const assert = require("assert");
+const path = require("path");
+
+const { filterInstallations, parseSelection } = require("../src/select");
+
+const { test } = require("./harness");
+
+console.log("\nRunning select unit tests...\n");
+
+const DIRS = [
+  "/home/u/.vscode/extensions/anthropic.claude-code-2.0.1",
+  "/home/u/.vscode/extensions/anthropic.claude-code-2.1.0",
+  "/home/u/.cursor/extensions/anthropic.claude-code-2.1.0",
+  "/home/u/.vscode-insiders/extensions/anthropic.claude-code-1.9.0",
+].map((dir) => path.resolve(dir));
+
+test("filterInstallations: no filters keeps everything", () => {
+  assert.deepStrictEqual(filterInstallations(DIRS), DIRS);
+});
+
+test("filterInstallations: filters by editor, version and path", () => {
+  assert.deepStrictEqual(filterInstallations(DIRS, { editor: "cursor" }), [DIRS[2]]);
+  assert.deepStrictEqual(filterInstallations(DIRS, { version: "^2.1" }), [DIRS[1], DIRS[2]]);
+  assert.deepStrictEqual(
+    filterInstallations(DIRS, { path: path.resolve("/home/u/.vscode/extensions") }),
+    [DIRS[0], DIRS[1]]
+  );
+  assert.deepStrictEqual(
+    filterInstallations(DIRS, { editor: "code", version: "2.0" }),
+    [DIRS[0]]
+  );
+});
+
+test("filterInstallations: --path does not match sibling prefixes", () => {
+  assert.deepStrictEqual(filterInstallations(DIRS, { path: path.resolve("/home/u/.vscode") }), [
+    DIRS[0],
+    DIRS[1],
+  ]);
+});
+
+test("filterInstallations: rejects unknown editors and invalid ranges", () => {
+  assert.throws(() => filterInstallations(DIRS, { editor: "emacs" }), /--editor must be one of/);
+  assert.throws(() => filterInstallations(DIRS, { version: "latest" }), /Invalid version range/);
+  assert.throws(() => filterInstallations(DIRS, { version: "^1 || garbage" }), /Invalid version range/);
+});
+
+test("parseSelection: accepts all, lists and ranges", () => {
+  assert.deepStrictEqual(parseSelection("", 3), [0, 1, 2]);
+  assert.deepStrictEqual(parseSelection("all", 3), [0, 1, 2]);
+  assert.deepStrictEqual(parseSelection("3, 1", 3), [0, 2]);
+  assert.deepStrictEqual(parseSelection("2-3", 4), [1, 2]);
+  assert.strictEqual(parseSelection("4", 3), null);
+  assert.strictEqual(parseSelection("x", 3), null);
+});
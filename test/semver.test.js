@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for version comparison and --version ranges.
+ */
+
+const assert = require("assert");
+
+const { parseVersion, compareVersions, parseRange, satisfies } = require("../src/semver");
+
+const { test } = require("./harness");
+
+console.log("\nRunning semver unit tests...\n");
+
+test("parseVersion: reads numeric parts and drops suffixes", () => {
+  assert.deepStrictEqual(parseVersion("2.0.10-darwin-arm64"), [2, 0, 10]);
+  assert.deepStrictEqual(parseVersion("v2.1"), [2, 1]);
+  assert.deepStrictEqual(parseVersion("2.x"), [2]);
+});
+
+test("compareVersions: orders numerically, not lexically", () => {
+  assert(compareVersions("2.0.10", "2.0.9") > 0);
+  assert(compareVersions("1.9.9", "2.0.0") < 0);
+  assert.strictEqual(compareVersions("2.0", "2.0.0"), 0);
+});
+
+test("satisfies: exact, partial and wildcard versions", () => {
+  assert(satisfies("2.0.1", "2.0.1"));
+  assert(!satisfies("2.0.2", "2.0.1"));
+  assert(satisfies("2.0.7", "2.0"));
+  assert(satisfies("2.9.0", "2.x"));
+  assert(!satisfies("3.0.0", "2.x"));
+  assert(satisfies("3.0.0", "*"));
+});
+
+test("satisfies: comparators, caret, tilde and hyphen ranges", () => {
+  assert(satisfies("2.1.0", ">=2.0.0 <3"));
+  assert(!satisfies("3.0.0", ">=2.0.0 <3"));
+  assert(satisfies("2.9.9", "^2.0.1"));
+  assert(!satisfies("3.0.0", "^2.0.1"));
+  assert(!satisfies("0.3.0", "^0.2.1"));
+  assert(satisfies("2.0.9", "~2.0.1"));
+  assert(!satisfies("2.1.0", "~2.0.1"));
+  assert(satisfies("2.1.5", "2.0.0 - 2.1"));
+  assert(!satisfies("2.2.0", "2.0.0 - 2.1"));
+  assert(satisfies("2.0.1-linux-x64", ">= 2.0.1"));
+});
+
+test("satisfies: || alternatives and invalid ranges", () => {
+  assert(satisfies("1.5.0", "^1.5 || ^2"));
+  assert(satisfies("2.3.0", "^1.5 || ^2"));
+  assert(!satisfies("3.0.0", "^1.5 || ^2"));
+  assert.throws(() => satisfies("2.0.0", ">=banana"), /Invalid version range/);
+  assert.throws(() => satisfies("1.5.0", "^1 || garbage"), /Invalid version range: garbage/);
+});
+
+test("parseRange: splits alternatives into comparator pairs", () => {
+  assert.deepStrictEqual(parseRange("^2.0.1 || 3"), [
+    [[">=", "2.0.1"], ["<", "3"]],
+    [[">=", "3"], ["<", "4"]],
+  ]);
+  assert.throws(() => parseRange("* || >=2 <x.y"), /Invalid version range: <x\.y/);
+});
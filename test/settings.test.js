@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the companion extension's settings.
+ */
+
+const assert = require("assert");
+
+const { DEFAULT_CONFIG, resolveConfig } = require("../src/config");
+const { SECTION, CONFIG_SETTINGS, RELOAD_BEHAVIORS, applySettings } = require("../src/settings");
+const pkg = require("../package.json");
+
+const { test } = require("./harness");
+
+console.log("\nRunning settings unit tests...\n");
+
+const properties = pkg.contributes.configuration.properties;
+
+// --- applySettings ---
+
+test("applySettings: unset settings leave the config unchanged", () => {
+  const config = resolveConfig({ direction: "rtl", rules: { timeline: false } });
+  assert.deepStrictEqual(applySettings(config, () => undefined), config);
+});
+
+test("applySettings: explicit settings override the config file", () => {
+  const config = resolveConfig({ direction: "rtl", patchScript: false });
+  const values = { direction: "ltr", patchScript: true, "rules.codeLtr": false };
+  const merged = applySettings(config, (key) => values[key]);
+  assert.strictEqual(merged.direction, "ltr");
+  assert.strictEqual(merged.patchScript, true);
+  assert.strictEqual(merged.rules.codeLtr, false);
+  assert.strictEqual(merged.rules.timeline, true);
+  assert.strictEqual(config.rules.codeLtr, true, "input config must not be mutated");
+});
+
+test("applySettings: overrides nested typography fields", () => {
+  const values = { "rules.typography": true, "typography.fonts.arabic": ["Vazirmatn"] };
+  const merged = applySettings(DEFAULT_CONFIG, (key) => values[key]);
+  assert.strictEqual(merged.rules.typography, true);
+  assert.deepStrictEqual(merged.typography.fonts.arabic, ["Vazirmatn"]);
+  assert.deepStrictEqual(merged.typography.fonts.hebrew, DEFAULT_CONFIG.typography.fonts.hebrew);
+  assert.notDeepStrictEqual(DEFAULT_CONFIG.typography.fonts.arabic, ["Vazirmatn"]);
+});
+
+test("applySettings: rejects invalid values", () => {
+  assert.throws(
+    () => applySettings(DEFAULT_CONFIG, (key) => (key === "direction" ? "up" : undefined)),
+    /direction must be one of/
+  );
+});
+
+// --- package.json manifest ---
+
+test("manifest: declares every setting with the config default", () => {
+  for (const [key, fieldPath] of Object.entries(CONFIG_SETTINGS)) {
+    const property = properties[`${SECTION}.${key}`];
+    assert.ok(property, `missing ${SECTION}.${key}`);
+    const expected = fieldPath.reduce((obj, field) => obj[field], DEFAULT_CONFIG);
+    assert.deepStrictEqual(property.default, expected, `default of ${key}`);
+  }
+});
+
+test("manifest: declares the extension-only settings", () => {
+  assert.strictEqual(properties[`${SECTION}.autoPatch`].default, true);
+  assert.deepStrictEqual(properties[`${SECTION}.reloadBehavior`].enum, RELOAD_BEHAVIORS);
+});
+
+test("manifest: contributes the commands and entry point", () => {
+  const commands = pkg.contributes.commands.map((c) => c.command);
+  assert.ok(commands.includes(`${SECTION}.patchNow`));
+  assert.ok(commands.includes(`${SECTION}.revert`));
+  assert.ok(commands.includes(`${SECTION}.toggle`), "status bar command");
+  assert.ok(commands.includes(`${SECTION}.showLog`));
+  assert.ok(commands.includes(`${SECTION}.resetMessageDirections`));
+  const keybinding = pkg.contributes.keybindings.find((k) => k.key === "ctrl+shift+x");
+  assert.strictEqual(keybinding.command, `${SECTION}.toggleInputDirection`);
+  assert.ok(commands.includes(keybinding.command));
+  assert.strictEqual(pkg.main, "./src/extension.js");
+  assert.ok(pkg.engines.vscode);
+});
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for --watch. The watcher itself is event driven; these cover
+ * root selection and the synchronous re-patch step it runs after each event.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+
+const { applyPatch, checkPatch } = require("../src/patch-rtl");
+const { resolveConfig } = require("../src/config");
+const { startWatch, syncInstallation, getWatchRoots } = require("../src/watch");
+
+const { test, makeInstallation } = require("./harness");
+
+console.log("\nRunning watch unit tests...\n");
+
+test("getWatchRoots: watches roots with and without installations", () => {
+  const probe = {
+    found: ["/a/ext/anthropic.claude-code-2.0.1", "/a/ext/anthropic.claude-code-2.0.2"],
+    probes: [
+      { path: "/a/ext", status: "found" },
+      { path: "/b/ext", status: "empty" },
+      { path: "/c/ext", status: "skipped" },
+    ],
+  };
+  assert.deepStrictEqual(getWatchRoots(probe), ["/a/ext", "/b/ext"]);
+});
+
+test("syncInstallation: patches a rewritten CSS file and logs it", (tmpDir) => {
+  const extDir = makeInstallation(tmpDir, "2.0.1");
+  const messages = [];
+  const state = syncInstallation(extDir, {
+    config: resolveConfig({}),
+    log: (m) => messages.push(m),
+    reason: "index.css changed",
+  });
+  assert.strictEqual(state, "patched");
+  assert.strictEqual(checkPatch(path.join(extDir, "webview", "index.css")), "current");
+  assert.deepStrictEqual(messages.map((m) => m.split(" ")[1]), ["index.css", "RTL"]);
+});
+
+test("syncInstallation: ignores an installation that is already current", (tmpDir) => {
+  const extDir = makeInstallation(tmpDir, "2.0.1");
+  applyPatch(path.join(extDir, "webview", "index.css"));
+  const messages = [];
+  const state = syncInstallation(extDir, {
+    config: resolveConfig({}),
+    log: (m) => messages.push(m),
+    reason: "index.css changed",
+  });
+  assert.strictEqual(state, "current");
+  assert.deepStrictEqual(messages, [], "Echoes of our own writes should not be logged");
+});
+
+test("syncInstallation: re-patches when the config changed", (tmpDir) => {
+  const extDir = makeInstallation(tmpDir, "2.0.1");
+  applyPatch(path.join(extDir, "webview", "index.css"));
+  const state = syncInstallation(extDir, { config: resolveConfig({ direction: "rtl" }), log: () => {} });
+  assert.strictEqual(state, "patched");
+});
+
+test("syncInstallation: waits for a new version's CSS to appear", (tmpDir) => {
+  const extDir = makeInstallation(tmpDir, "2.0.2", null);
+  assert.strictEqual(syncInstallation(extDir, { config: resolveConfig({}), log: () => {} }), "waiting");
+});
+
+test("startWatch: logs a failing installation at startup and keeps watching", (tmpDir) => {
+  // index.css is a directory, so reading it throws
+  fs.mkdirSync(path.join(tmpDir, "anthropic.claude-code-2.0.1", "webview", "index.css"), { recursive: true });
+  const saved = process.env.CLAUDE_CODE_EXT_DIR;
+  process.env.CLAUDE_CODE_EXT_DIR = tmpDir;
+  const messages = [];
+  let handle;
+  try {
+    handle = startWatch({ config: resolveConfig({}), log: (m) => messages.push(m) });
+  } finally {
+    if (handle) handle.close();
+    if (saved === undefined) delete process.env.CLAUDE_CODE_EXT_DIR;
+    else process.env.CLAUDE_CODE_EXT_DIR = saved;
+  }
+  assert.deepStrictEqual(handle.roots, [tmpDir]);
+  assert(messages.some((m) => m.startsWith("[2.0.1] Failed: EISDIR")), messages.join("\n"));
+});
@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the injected webview script, run against a minimal fake DOM.
+ */
+
+const assert = require("assert");
+const vm = require("vm");
+
+const { generateRtlScript, INPUT_DIR_KEY, MESSAGE_DIR_ATTR } = require("../src/webview-script");
+const { generateRtlJs } = require("../src/patch-rtl");
+
+const { test } = require("./harness");
+
+console.log("\nRunning webview script unit tests...\n");
+
+const SELECTORS = { messages: [".message"], blocks: [".message li"], inputs: ["textarea"] };
+
+// Elements are identified by a single selector; matches() checks whether it
+// is in the given selector list
+class FakeElement {
+  constructor(selector, attrs = {}, parent = null, text = "") {
+    this.nodeType = 1;
+    this.selector = selector;
+    this.text = text;
+    this.attrs = { ...attrs };
+    this.parent = parent;
+    this.style = {};
+    this.listeners = {};
+  }
+  matches(list) {
+    return list.split(", ").includes(this.selector);
+  }
+  closest(list) {
+    for (let el = this; el; el = el.parent) if (el.matches(list)) return el;
+    return null;
+  }
+  addEventListener(type, fn) {
+    this.listeners[type] = fn;
+  }
+  getBoundingClientRect() {
+    return { top: 100, left: 10, right: 300 };
+  }
+  hasAttribute(name) {
+    return name in this.attrs;
+  }
+  getAttribute(name) {
+    return this.attrs[name] ?? null;
+  }
+  setAttribute(name, value) {
+    this.attrs[name] = String(value);
+  }
+}
+
+// Direction an element resolves to under the HTML rules: its own dir
+// attribute, where "auto" takes the first strong character of its text, or
+// else its parent's
+function resolvedDirection(el) {
+  for (; el; el = el.parent) {
+    const dir = el.getAttribute("dir");
+    if (dir === "rtl" || dir === "ltr") return dir;
+    if (dir === "auto") {
+      const strong = el.text.match(/[A-Za-z\u00C0-\u024F\u0590-\u08FF]/);
+      return strong && /[\u0590-\u08FF]/.test(strong[0]) ? "rtl" : "ltr";
+    }
+  }
+  return "ltr";
+}
+
+/**
+ * Runs the script against `elements`. Returns { press(event), window }.
+ * `source` replaces the script generated from `selectors`.
+ */
+function runScript(elements, { direction, storage = new Map(), selectors = SELECTORS, source } = {}) {
+  const listeners = [];
+  const all = (list) => elements.filter((el) => el.matches(list));
+  const document = {
+    activeElement: null,
+    body: { nodeType: 1, matches: () => false, querySelectorAll: all, appendChild: (el) => (document.control = el) },
+    querySelectorAll: all,
+    createElement: (tag) => new FakeElement(tag),
+    addEventListener: (type, fn) => listeners.push({ type, fn }),
+  };
+  const window = {
+    sessionStorage: {
+      getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+      setItem: (key, value) => storage.set(key, String(value)),
+    },
+    addEventListener: (type, fn) => listeners.push({ type, fn }),
+    innerWidth: 400,
+  };
+  class MutationObserver {
+    observe() {}
+  }
+  vm.runInNewContext(source || generateRtlScript(selectors, direction), {
+    window,
+    document,
+    MutationObserver,
+    getComputedStyle: (el) => ({ direction: el.attrs.dir === "rtl" ? "rtl" : "ltr" }),
+    console,
+  });
+
+  const press = (event) => {
+    const full = { shiftKey: true, ctrlKey: true, altKey: false, metaKey: false, ...event };
+    let prevented = false;
+    full.preventDefault = () => (prevented = true);
+    full.stopPropagation = () => {};
+    listeners.filter((l) => l.type === "keydown").forEach((l) => l.fn(full));
+    return prevented;
+  };
+  const hover = (target) => {
+    listeners.filter((l) => l.type === "mouseover").forEach((l) => l.fn({ target }));
+  };
+  const click = () => {
+    document.control.listeners.click({ preventDefault() {}, stopPropagation() {} });
+  };
+  return { press, hover, click, document, storage };
+}
+
+test("webview script: sets dir on messages, lists and inputs", () => {
+  const message = new FakeElement(".message");
+  const own = new FakeElement(".message li", { dir: "ltr" });
+  const input = new FakeElement("textarea");
+  runScript([message, own, input]);
+  assert.strictEqual(message.getAttribute("dir"), "auto");
+  assert.strictEqual(own.getAttribute("dir"), "ltr", "Should keep the webview's own dir");
+  assert.strictEqual(input.getAttribute("dir"), "auto");
+});
+
+test("webview script: markdown blocks resolve to the direction of their own text", () => {
+  const scope = ".message_Abc123";
+  const message = new FakeElement(scope, {}, null, "שלום, here is the list:");
+  const quote = new FakeElement(`${scope} blockquote`, {}, message, "ציטוט מהתיעוד");
+  const table = new FakeElement(`${scope} table`, {}, message, "שם | name");
+  const list = new FakeElement(`${scope} ul`, {}, message, "npm install");
+  const item = new FakeElement(`${scope} li`, {}, list, "פריט ראשון");
+  const english = new FakeElement(`${scope} blockquote`, {}, message, "A quote");
+  runScript([message, quote, table, list, item, english], { source: generateRtlJs({ message: "Abc123" }) });
+
+  assert.strictEqual(resolvedDirection(quote), "rtl", "Hebrew blockquote");
+  assert.strictEqual(resolvedDirection(table), "rtl", "Hebrew table");
+  assert.strictEqual(resolvedDirection(item), "rtl", "Hebrew list item in an English list");
+  assert.strictEqual(resolvedDirection(list), "ltr", "English list in a Hebrew message");
+  assert.strictEqual(resolvedDirection(english), "ltr", "English blockquote in a Hebrew message");
+});
+
+test("webview script: Ctrl+Shift+X cycles the prompt input direction", () => {
+  const input = new FakeElement("textarea");
+  const { press, document, storage } = runScript([input]);
+  document.activeElement = input;
+
+  assert.strictEqual(press({ code: "KeyX", key: "ס" }), true, "Should handle the chord on any layout");
+  assert.strictEqual(input.getAttribute("dir"), "rtl");
+  press({ code: "KeyX" });
+  assert.strictEqual(input.getAttribute("dir"), "ltr");
+  press({ code: "KeyX", ctrlKey: false, metaKey: true });
+  assert.strictEqual(input.getAttribute("dir"), "auto");
+  assert.strictEqual(storage.get(INPUT_DIR_KEY), "auto");
+});
+
+test("webview script: ignores other keys and unfocused inputs", () => {
+  const input = new FakeElement("textarea");
+  const message = new FakeElement(".message");
+  const { press, document } = runScript([input, message]);
+  document.activeElement = message;
+  assert.strictEqual(press({ code: "KeyX" }), false, "Only in the prompt input");
+  document.activeElement = input;
+  assert.strictEqual(press({ code: "KeyX", shiftKey: false }), false);
+  assert.strictEqual(press({ code: "KeyC" }), false);
+  assert.strictEqual(input.getAttribute("dir"), "auto");
+});
+
+test("webview script: restores the direction chosen earlier in the session", () => {
+  const input = new FakeElement("textarea", { dir: "auto" });
+  const message = new FakeElement(".message");
+  runScript([input, message], { storage: new Map([[INPUT_DIR_KEY, "rtl"]]) });
+  assert.strictEqual(input.getAttribute("dir"), "rtl");
+  assert.strictEqual(message.getAttribute("dir"), "auto", "Messages are not affected");
+});
+
+test("webview script: hover control cycles one message's direction", () => {
+  const first = new FakeElement(".message");
+  const second = new FakeElement(".message");
+  const paragraph = new FakeElement("p", {}, first);
+  const { hover, click, document } = runScript([first, second], {
+    selectors: { ...SELECTORS, toggles: [".message"] },
+  });
+  const control = document.control;
+  assert(control.style.cssText.includes("display:none"), "Hidden until a message is hovered");
+
+  hover(paragraph);
+  assert.strictEqual(control.style.display, "block");
+  assert.strictEqual(control.textContent, "auto");
+  assert.strictEqual(control.style.right, "104px", "Top corner on the end side");
+
+  click();
+  assert.strictEqual(first.getAttribute(MESSAGE_DIR_ATTR), "rtl");
+  assert.strictEqual(first.getAttribute("dir"), "rtl");
+  assert.strictEqual(control.textContent, "RTL");
+  assert.strictEqual(control.style.left, "14px", "Moves to the end side of an RTL message");
+  click();
+  assert.strictEqual(first.getAttribute(MESSAGE_DIR_ATTR), "ltr");
+  click();
+  assert.strictEqual(first.getAttribute(MESSAGE_DIR_ATTR), "auto");
+  assert.strictEqual(second.getAttribute(MESSAGE_DIR_ATTR), null, "Other messages are untouched");
+
+  hover(new FakeElement("div"));
+  assert.strictEqual(control.style.display, "none");
+});
+
+test("webview script: errors in event handlers are caught", () => {
+  const message = new FakeElement(".message");
+  message.getBoundingClientRect = () => {
+    throw new Error("detached");
+  };
+  const { hover } = runScript([message], { selectors: { ...SELECTORS, toggles: [".message"] } });
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = (...args) => warnings.push(args);
+  try {
+    hover(message);
+  } finally {
+    console.warn = warn;
+  }
+  assert.strictEqual(warnings.length, 1);
+  assert.match(String(warnings[0][1]), /detached/);
+});
+
+test("webview script: no hover control without toggle selectors", () => {
+  const { document } = runScript([new FakeElement(".message")]);
+  assert.strictEqual(document.control, undefined);
+});